@@ -0,0 +1,223 @@
+// config.js - Configuration file loading, validation and hot reload
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { validateSchema } = require('./utils/json-schema');
+const { validateEvaluator } = require('./utils/evaluators');
+
+// Workflow IDs are strings in n8n, but are often written as numbers
+const WORKFLOW_ID = { type: ['string', 'number'] };
+
+// Node filter rule; every criterion set on the rule must match
+const NODE_RULE = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    nodeType: { type: 'string', minLength: 1 },
+    nodeName: { type: 'string', minLength: 1 },
+    workflowId: WORKFLOW_ID,
+    workflowName: { type: 'string', minLength: 1 }
+  }
+};
+
+/**
+ * Schema of the configuration file. Every section is optional; settings the
+ * file leaves out fall back to their environment variables.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    endpoint: { type: 'string', pattern: '^https?://' },
+    apiKey: { type: 'string', minLength: 1 },
+    logLevel: { enum: ['error', 'warn', 'info', 'debug'] },
+    labels: { type: 'array', items: { type: 'string', minLength: 1 } },
+    sampling: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        rate: { type: 'number', minimum: 0, maximum: 1 },
+        keepErrors: { type: 'boolean' },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['rate'],
+            properties: {
+              workflowId: WORKFLOW_ID,
+              namePattern: { type: 'string', minLength: 1 },
+              tag: { type: 'string', minLength: 1 },
+              rate: { type: 'number', minimum: 0, maximum: 1 }
+            }
+          }
+        }
+      }
+    },
+    redaction: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        detectors: { type: 'array', items: { enum: ['email', 'phone', 'credit_card', 'api_key', 'secret_keys'] } },
+        patterns: {
+          type: 'array',
+          items: {
+            type: ['string', 'object'],
+            additionalProperties: false,
+            required: ['pattern'],
+            properties: {
+              name: { type: 'string' },
+              pattern: { type: 'string', minLength: 1 },
+              flags: { type: 'string', pattern: '^[gimsuy]*$' },
+              replacement: { type: 'string' }
+            }
+          }
+        },
+        paths: { type: 'array', items: { type: 'string', minLength: 1 } },
+        hashIds: { type: 'boolean' }
+      }
+    },
+    nodes: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        aiOnly: { type: 'boolean' },
+        include: { type: 'array', items: NODE_RULE },
+        exclude: { type: 'array', items: NODE_RULE }
+      }
+    },
+    limits: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxFieldBytes: { type: 'integer', minimum: 1024 },
+        maxTraceBytes: { type: 'integer', minimum: 1024 },
+        maxItems: { type: 'integer', minimum: 1 },
+        maxStringLength: { type: 'integer', minimum: 100 }
+      }
+    },
+    // The settings of each evaluator depend on its type, see validateEvaluator
+    evaluators: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+/**
+ * Validate a parsed configuration against the schema, and check the values
+ * the schema can't, such as regular expressions that must compile
+ * @param {*} config - Parsed configuration
+ * @returns {Array<string>} Validation errors
+ */
+function validateConfig(config) {
+  const errors = validateSchema(config, CONFIG_SCHEMA, '$');
+  if (errors.length > 0) return errors;
+
+  if (config.endpoint) {
+    try {
+      new URL(config.endpoint);
+    } catch (error) {
+      errors.push('$.endpoint is not a valid URL');
+    }
+  }
+
+  (config.evaluators || []).forEach((evaluator, index) => {
+    errors.push(...validateEvaluator(evaluator, `$.evaluators[${index}]`));
+  });
+
+  (config.redaction?.patterns || []).forEach((rule, index) => {
+    const pattern = typeof rule === 'string' ? rule : rule.pattern;
+    try {
+      new RegExp(pattern, typeof rule === 'string' ? 'g' : rule.flags);
+    } catch (error) {
+      errors.push(`$.redaction.patterns[${index}] is not a valid regular expression: ${error.message}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Parse the contents of a configuration file as YAML or JSON, by extension
+ * @param {string} content - File contents
+ * @param {string} filePath - Path of the file
+ * @returns {Object} Parsed configuration; an empty file is an empty configuration
+ */
+function parseConfig(content, filePath) {
+  if (!content.trim()) return {};
+
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.yaml' || extension === '.yml') {
+    // Only needed for YAML files, so JSON configurations work without it
+    const YAML = require('yaml');
+    return YAML.parse(content) ?? {};
+  }
+
+  return JSON.parse(content);
+}
+
+/**
+ * Load and validate a configuration file. Errors are logged, and an invalid
+ * file is ignored rather than stopping n8n from starting.
+ * @param {string} filePath - Path of the YAML or JSON file
+ * @returns {Object|null} Configuration, or null if the file can't be used
+ */
+function loadConfig(filePath) {
+  let config;
+  try {
+    config = parseConfig(fs.readFileSync(filePath, 'utf8'), filePath);
+  } catch (error) {
+    logger.error(`Failed to read configuration file ${filePath}: ${error.message}`);
+    return null;
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    logger.error(`Invalid configuration file ${filePath}:\n  ${errors.join('\n  ')}`);
+    return null;
+  }
+
+  return config;
+}
+
+/**
+ * Reload a configuration file whenever it changes. Changes that don't load
+ * or validate are logged and skipped, keeping the current configuration.
+ * @param {string} filePath - Path of the YAML or JSON file
+ * @param {Function} onChange - Called with the new configuration
+ * @param {Object} [options] - Watch options
+ * @param {number} [options.interval] - Milliseconds between checks of the file
+ * @returns {Function} Stops watching the file
+ */
+function watchConfig(filePath, onChange, options = {}) {
+  const interval = options.interval || Number(process.env.LANGWATCH_CONFIG_POLL_INTERVAL) || 5000;
+
+  // Polling also catches files replaced through symlinks, such as
+  // Kubernetes ConfigMap volumes
+  const listener = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+
+    const config = loadConfig(filePath);
+    if (!config) {
+      logger.warn(`Keeping the current configuration until ${filePath} is fixed`);
+      return;
+    }
+
+    try {
+      onChange(config);
+      logger.info(`Reloaded configuration from ${filePath}`);
+    } catch (error) {
+      logger.error(`Failed to apply configuration from ${filePath}: ${error.message}`);
+    }
+  };
+
+  // Don't keep n8n alive just to watch the file
+  fs.watchFile(filePath, { interval, persistent: false }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+  loadConfig,
+  watchConfig
+};
@@ -26,6 +26,8 @@ echo "LANGWATCH_LOG_LEVEL: ${LANGWATCH_LOG_LEVEL}"
 echo "N8N_LOG_LEVEL: ${N8N_LOG_LEVEL}"
 echo "=================================================="
 
-# Start n8n with LangWatch instrumentation
-echo "Starting n8n with enhanced LangWatch integration..."
-exec node --require /usr/local/lib/node_modules/n8n/tracing.js /usr/local/bin/n8n "$@"
\ No newline at end of file
+# Start n8n with LangWatch instrumentation. The same image runs the main
+# instance and, in queue mode, `worker` and `webhook` processes; each one
+# loads the instrumentation, since workers are where executions run.
+echo "Starting n8n ${1:-start} with LangWatch integration..."
+exec node --require /usr/local/lib/node_modules/n8n/index.js /usr/local/bin/n8n "$@"
\ No newline at end of file
@@ -0,0 +1,82 @@
+// extractors/generic.js - Fallback extractor based on field-name heuristics
+const { extractSystemMessage, extractUserInput, extractLLMOutput } = require('../utils/helpers');
+const { resolveNodeParameter } = require('../utils/expressions');
+
+/**
+ * Generic extractor used for node types without a dedicated adapter, and for
+ * any method an adapter doesn't implement. Every method receives the same
+ * context: { node, executionData, runExecutionData, runIndex, outputData,
+ * resolveParameter }, where resolveParameter returns an expression
+ * parameter as n8n resolved it for the item while the node ran.
+ */
+const genericExtractor = {
+  name: 'generic',
+
+  /**
+   * Extract the user input sent to the model
+   * @param {Object} context - Extraction context
+   * @returns {string} User input
+   */
+  extractInput(context) {
+    const { node, executionData, runExecutionData, runIndex } = context;
+    return extractUserInput(node, executionData, runExecutionData, runIndex, value => resolveNodeParameter(context, value));
+  },
+
+  /**
+   * Extract the chat messages sent to the model
+   * @param {Object} context - Extraction context
+   * @returns {Array<Object>} Messages as { role, content }
+   */
+  extractMessages(context) {
+    const messages = [];
+
+    const systemMessage = extractSystemMessage(context.node.parameters, value => resolveNodeParameter(context, value));
+    if (systemMessage) {
+      messages.push({ role: 'system', content: systemMessage });
+    }
+
+    const userInput = this.extractInput(context);
+    if (userInput) {
+      messages.push({ role: 'user', content: userInput });
+    }
+
+    return messages;
+  },
+
+  /**
+   * Extract the model output
+   * @param {Object} context - Extraction context
+   * @returns {string|Object} Model output
+   */
+  extractOutput({ outputData }) {
+    return extractLLMOutput(outputData).llmOutput;
+  },
+
+  /**
+   * Extract token usage reported by the node
+   * @param {Object} context - Extraction context
+   * @returns {Object|null} Token usage as reported by the node
+   */
+  extractUsage({ outputData }) {
+    return extractLLMOutput(outputData).usage;
+  },
+
+  /**
+   * Extract tool calls made by the node
+   * @param {Object} context - Extraction context
+   * @returns {Array<Object>} Tool calls as { name, input, output }
+   */
+  extractToolCalls({ outputData }) {
+    const json = outputData?.[0]?.json;
+    const toolCalls = json?.toolCalls || json?.result?.toolCalls;
+    if (!Array.isArray(toolCalls)) return [];
+
+    return toolCalls.map(call => ({
+      name: call.name || call.function?.name,
+      input: call.args ?? call.input ?? call.function?.arguments,
+      output: call.output
+    }));
+  }
+};
+
+module.exports = { genericExtractor };
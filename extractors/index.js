@@ -0,0 +1,102 @@
+// extractors/index.js - Registry of per-node-type extractor adapters
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+const { globToRegExp } = require('../utils/helpers');
+const { genericExtractor } = require('./generic');
+const { agentExtractor, chainExtractor } = require('./langchain');
+const { openAiExtractor, anthropicExtractor } = require('./vendors');
+const { vectorStoreExtractor } = require('./vector-store');
+
+const EXTRACTOR_METHODS = ['extractInput', 'extractMessages', 'extractOutput', 'extractUsage', 'extractToolCalls'];
+
+// Registered adapters, most recently registered first so custom adapters
+// take precedence over the built-in ones
+const registry = [];
+
+/**
+ * Register an extractor adapter for one or more node types
+ * @param {string|Array<string>} nodeTypes - n8n node types, `*` wildcards allowed
+ * @param {Object} adapter - Adapter implementing any of the extract* methods
+ */
+function registerExtractor(nodeTypes, adapter) {
+  const types = Array.isArray(nodeTypes) ? nodeTypes : [nodeTypes];
+
+  for (const nodeType of types) {
+    registry.unshift({ nodeType, matcher: globToRegExp(nodeType), adapter });
+  }
+
+  logger.debug(`Registered extractor ${adapter.name || 'custom'} for ${types.join(', ')}`);
+}
+
+/**
+ * Get the extractor for a node type. Methods the matching adapter doesn't
+ * implement fall back to the generic extractor.
+ * @param {string} nodeType - n8n node type
+ * @returns {Object} Extractor with all extract* methods
+ */
+function getExtractor(nodeType) {
+  const entry = registry.find(e => e.matcher.test(nodeType || ''));
+  if (!entry) return genericExtractor;
+
+  const extractor = { ...genericExtractor, ...entry.adapter };
+  for (const method of EXTRACTOR_METHODS) {
+    if (typeof extractor[method] !== 'function') {
+      extractor[method] = genericExtractor[method];
+    }
+  }
+
+  return extractor;
+}
+
+/**
+ * Load custom adapters from a directory. Each .js file exports an adapter
+ * with a nodeTypes array, or an array of such adapters.
+ * @param {string} directory - Directory containing adapter modules
+ * @returns {number} Number of adapters loaded
+ */
+function loadCustomExtractors(directory) {
+  if (!directory) return 0;
+
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+  } catch (error) {
+    logger.error(`Failed to read extractor directory ${directory}: ${error.message}`);
+    return 0;
+  }
+
+  let loaded = 0;
+  for (const file of files) {
+    const filePath = path.resolve(directory, file);
+    try {
+      const exported = require(filePath);
+      const adapters = Array.isArray(exported) ? exported : [exported];
+
+      for (const adapter of adapters) {
+        if (!adapter?.nodeTypes) {
+          logger.warn(`Extractor in ${file} has no nodeTypes, skipping`);
+          continue;
+        }
+        registerExtractor(adapter.nodeTypes, { name: file, ...adapter });
+        loaded++;
+      }
+    } catch (error) {
+      logger.error(`Failed to load extractor ${filePath}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Loaded ${loaded} custom extractors from ${directory}`);
+  return loaded;
+}
+
+// Built-in adapters
+for (const adapter of [vectorStoreExtractor, anthropicExtractor, openAiExtractor, chainExtractor, agentExtractor]) {
+  registerExtractor(adapter.nodeTypes, adapter);
+}
+
+module.exports = {
+  registerExtractor,
+  getExtractor,
+  loadCustomExtractors
+};
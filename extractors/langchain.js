@@ -0,0 +1,109 @@
+// extractors/langchain.js - Extractors for n8n's LangChain agent and chain nodes
+const { getInputItemJson } = require('../utils/helpers');
+const { resolveNodeParameter } = require('../utils/expressions');
+
+/**
+ * Get the prompt a LangChain root node was called with. With the "define"
+ * prompt type it comes from the text parameter, otherwise from the chat
+ * trigger's chatInput field.
+ * @param {Object} context - Extraction context
+ * @returns {string} Prompt
+ */
+function extractPrompt(context) {
+  const parameters = context.node.parameters || {};
+  const json = getInputItemJson(context.executionData);
+
+  if (parameters.promptType === 'define' && parameters.text) {
+    return resolveNodeParameter(context, parameters.text) ?? '';
+  }
+
+  return json.chatInput ?? json.input ?? resolveNodeParameter(context, parameters.text || parameters.prompt || '') ?? '';
+}
+
+const agentExtractor = {
+  name: 'langchain-agent',
+  nodeTypes: ['@n8n/n8n-nodes-langchain.agent', '@n8n/n8n-nodes-langchain.openAiAssistant'],
+
+  extractInput: extractPrompt,
+
+  extractMessages(context) {
+    const messages = [];
+
+    const systemMessage = resolveNodeParameter(context, context.node.parameters?.options?.systemMessage);
+    if (systemMessage) {
+      messages.push({ role: 'system', content: systemMessage });
+    }
+
+    const prompt = extractPrompt(context);
+    if (prompt) {
+      messages.push({ role: 'user', content: prompt });
+    }
+
+    return messages;
+  },
+
+  extractOutput({ outputData }) {
+    return outputData?.[0]?.json?.output ?? '';
+  },
+
+  // Only available when "Return Intermediate Steps" is enabled
+  extractToolCalls({ outputData }) {
+    const steps = outputData?.[0]?.json?.intermediateSteps;
+    if (!Array.isArray(steps)) return [];
+
+    return steps.map(step => ({
+      name: step.action?.tool,
+      input: step.action?.toolInput,
+      output: step.observation,
+      log: step.action?.log
+    }));
+  }
+};
+
+/**
+ * Map a LangChain prompt template class to a chat role
+ */
+const TEMPLATE_ROLES = {
+  SystemMessagePromptTemplate: 'system',
+  AIMessagePromptTemplate: 'assistant',
+  HumanMessagePromptTemplate: 'user'
+};
+
+const chainExtractor = {
+  name: 'langchain-chain',
+  nodeTypes: [
+    '@n8n/n8n-nodes-langchain.chainLlm',
+    '@n8n/n8n-nodes-langchain.chainRetrievalQa',
+    '@n8n/n8n-nodes-langchain.chainSummarization'
+  ],
+
+  extractInput: extractPrompt,
+
+  extractMessages(context) {
+    const messageValues = context.node.parameters?.messages?.messageValues || [];
+
+    const messages = messageValues
+      .map(message => ({
+        role: TEMPLATE_ROLES[message.type] || 'system',
+        content: resolveNodeParameter(context, message.message)
+      }))
+      .filter(message => message.content);
+
+    const prompt = extractPrompt(context);
+    if (prompt) {
+      messages.push({ role: 'user', content: prompt });
+    }
+
+    return messages;
+  },
+
+  extractOutput({ outputData }) {
+    const json = outputData?.[0]?.json || {};
+    return json.text ?? json.response?.text ?? json.response ?? json.output ?? '';
+  }
+};
+
+module.exports = {
+  agentExtractor,
+  chainExtractor
+};
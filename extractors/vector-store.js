@@ -0,0 +1,28 @@
+// extractors/vector-store.js - Extractor for n8n's vector store nodes
+const { getInputItemJson } = require('../utils/helpers');
+const { resolveNodeParameter } = require('../utils/expressions');
+
+const vectorStoreExtractor = {
+  name: 'vector-store',
+  nodeTypes: ['@n8n/n8n-nodes-langchain.vectorStore*'],
+
+  extractInput(context) {
+    const json = getInputItemJson(context.executionData);
+    return resolveNodeParameter(context, context.node.parameters?.prompt || '') || json.chatInput || '';
+  },
+
+  extractMessages(context) {
+    const query = this.extractInput(context);
+    return query ? [{ role: 'user', content: query }] : [];
+  },
+
+  // In "get many" mode every output item is one retrieved document
+  extractOutput({ outputData }) {
+    return (outputData || [])
+      .map(item => item.json?.document?.pageContent)
+      .filter(Boolean)
+      .join('\n\n');
+  }
+};
+
+module.exports = { vectorStoreExtractor };
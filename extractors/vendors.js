@@ -0,0 +1,113 @@
+// extractors/vendors.js - Extractors for n8n's OpenAI and Anthropic nodes
+const { resolveNodeParameter } = require('../utils/expressions');
+
+/**
+ * Get the messages configured on a vendor node's "Message a Model" operation
+ * @param {Object} context - Extraction context
+ * @returns {Array<Object>} Messages as { role, content }
+ */
+function extractConfiguredMessages(context) {
+  const parameters = context.node.parameters || {};
+  const messages = [];
+
+  // Anthropic takes its system prompt as a separate option
+  const system = resolveNodeParameter(context, parameters.options?.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  // Messages with an expression n8n didn't resolve for the item are left out
+  const configured = parameters.messages?.values || parameters.prompt?.messages || [];
+  for (const message of configured) {
+    const content = resolveNodeParameter(context, message.content);
+    if (content) {
+      messages.push({ role: message.role || 'user', content });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Get the last user message of a list of messages
+ * @param {Array<Object>} messages - Messages as { role, content }
+ * @returns {string} Content of the last user message
+ */
+function lastUserMessage(messages) {
+  const userMessages = messages.filter(message => message.role === 'user');
+  return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+}
+
+const openAiExtractor = {
+  name: 'openai',
+  nodeTypes: ['@n8n/n8n-nodes-langchain.openAi', 'n8n-nodes-base.openAi'],
+
+  extractInput(context) {
+    return lastUserMessage(extractConfiguredMessages(context));
+  },
+
+  extractMessages: extractConfiguredMessages,
+
+  // Simplified output is { message: { role, content } } (or { text } on the
+  // legacy node), raw output is the Chat Completions response
+  extractOutput({ outputData }) {
+    const json = outputData?.[0]?.json || {};
+    return json.message?.content ?? json.content ?? json.text ??
+      json.choices?.[0]?.message?.content ?? json.choices?.[0]?.text ?? '';
+  },
+
+  extractUsage({ outputData }) {
+    return outputData?.[0]?.json?.usage || null;
+  },
+
+  extractToolCalls({ outputData }) {
+    const json = outputData?.[0]?.json || {};
+    const toolCalls = json.message?.tool_calls || json.choices?.[0]?.message?.tool_calls || [];
+
+    return toolCalls.map(call => ({
+      name: call.function?.name,
+      input: call.function?.arguments
+    }));
+  }
+};
+
+const anthropicExtractor = {
+  name: 'anthropic',
+  nodeTypes: ['@n8n/n8n-nodes-langchain.anthropic'],
+
+  extractInput(context) {
+    return lastUserMessage(extractConfiguredMessages(context));
+  },
+
+  extractMessages: extractConfiguredMessages,
+
+  // Raw output is the Messages API response with a list of content blocks
+  extractOutput({ outputData }) {
+    const json = outputData?.[0]?.json || {};
+    if (Array.isArray(json.content)) {
+      return json.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+    }
+    return json.content ?? json.text ?? '';
+  },
+
+  extractUsage({ outputData }) {
+    return outputData?.[0]?.json?.usage || null;
+  },
+
+  extractToolCalls({ outputData }) {
+    const content = outputData?.[0]?.json?.content;
+    if (!Array.isArray(content)) return [];
+
+    return content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ name: block.name, input: block.input }));
+  }
+};
+
+module.exports = {
+  openAiExtractor,
+  anthropicExtractor
+};
@@ -2,19 +2,40 @@
 const { setupLogger, logger } = require('./logger');
 const { setupN8nInstrumentation } = require('./instrumentation');
 const { TraceManager } = require('./trace-manager');
+const { startMetricsServer } = require('./metrics');
+const { loadConfig, watchConfig } = require('./config');
 
-// Initialize the logger with environment variables
+// Load the configuration file, if any. An invalid file is reported and
+// ignored, falling back to environment variables.
+const configFile = process.env.LANGWATCH_CONFIG_FILE;
+const config = (configFile && loadConfig(configFile)) || {};
+
+// Initialize the logger with the configuration and environment variables
 setupLogger({
-  logLevel: process.env.LANGWATCH_LOG_LEVEL || 'info'
+  logLevel: config.logLevel || process.env.LANGWATCH_LOG_LEVEL || 'info'
 });
 
 // Log startup information
 logger.info('Starting n8n LangWatch instrumentation');
-logger.info(`API Endpoint: ${process.env.LANGWATCH_ENDPOINT || 'https://app.langwatch.ai'}`);
-logger.info(`API Key present: ${process.env.LANGWATCH_API_KEY ? 'Yes' : 'No'}`);
+if (configFile) {
+  logger.info(`Configuration file: ${configFile}`);
+}
 
 // Initialize trace manager
-const traceManager = new TraceManager();
+const traceManager = new TraceManager({ config });
+logger.info(`API Endpoint: ${traceManager.client.endpoint}`);
+logger.info(`API Key present: ${traceManager.client.apiKey ? 'Yes' : 'No'}`);
+
+// Apply changes to the configuration file without restarting n8n
+if (configFile) {
+  watchConfig(configFile, (newConfig) => {
+    setupLogger({ logLevel: newConfig.logLevel || process.env.LANGWATCH_LOG_LEVEL || 'info' });
+    traceManager.applyConfig(newConfig);
+  });
+}
+
+// Expose health metrics for Prometheus, if a port is configured
+startMetricsServer(traceManager);
 
 // Set up instrumentation
 try {
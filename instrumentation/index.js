@@ -1,6 +1,7 @@
 // instrumentation/index.js - Combined instrumentation setup
 const { setupWorkflowInstrumentation } = require('./workflow-instrumentation');
 const { setupNodeInstrumentation } = require('./node-instrumentation');
+const { setupQueueInstrumentation } = require('./queue-instrumentation');
 const { logger } = require('../logger');
 
 /**
@@ -15,6 +16,9 @@ function setupN8nInstrumentation(traceManager) {
     // Set up node instrumentation
     setupNodeInstrumentation(traceManager);
     
+    // Set up queue instrumentation, for queue wait times on workers
+    setupQueueInstrumentation();
+    
     logger.info('n8n instrumentation setup complete');
     return true;
   } catch (error) {
@@ -2,7 +2,7 @@
 const { trace, context, SpanStatusCode, SpanKind } = require('@opentelemetry/api');
 const flat = require('flat');
 const tracer = trace.getTracer('n8n-langwatch-instrumentation', '1.0.0');
-const logger = require('./logger');
+const { logger } = require('./logger');
 
 function setupN8nLangWatchInstrumentation() {
   try {
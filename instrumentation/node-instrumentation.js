@@ -1,7 +1,16 @@
 // instrumentation/node-instrumentation.js - Instruments n8n node execution
 const { logger } = require('../logger');
-const { getTimestamp, extractSystemMessage, extractUserInput, extractLLMOutput } = require('../utils/helpers');
-const { isAINode, detectModelInfo, extractModelParameters } = require('../utils/model-detection');
+const { getTimestamp, getExecutionKey, createTraceId, getInputItemJson, getPairedItemIndex, normalizeTokenUsage } = require('../utils/helpers');
+const { isAINode, isLLMNode, isRAGNode, detectModelInfo, extractModelParameters } = require('../utils/model-detection');
+const { getParentNodeName } = require('../utils/workflow-graph');
+const { snapshotSubNodeRuns, buildSubNodeSpans, pairModelSpans, dropModelUsage } = require('./sub-node-spans');
+const { buildToolSpans } = require('./tool-spans');
+const { buildRagSpan } = require('./rag-spans');
+const { getExtractor, loadCustomExtractors } = require('../extractors');
+const { estimateUsage } = require('../utils/token-counter');
+const { toSpanError, getErrorAttributes, getErrorItems, toItemsSpanError } = require('../utils/errors');
+const { recordResolvedParameters, toTemplate } = require('../utils/expressions');
+const { saveTraceState } = require('../utils/trace-state');
 
 /**
  * Patch n8n node execution to track node runs
@@ -12,6 +21,9 @@ function setupNodeInstrumentation(traceManager) {
     // Import n8n core modules
     const { WorkflowExecute } = require('n8n-core');
     
+    // Custom extractors for community nodes can be dropped into a directory
+    loadCustomExtractors(process.env.LANGWATCH_EXTRACTORS_DIR);
+    
     // Save the original method
     const originalRunNode = WorkflowExecute.prototype.runNode;
     
@@ -31,108 +43,356 @@ function setupNodeInstrumentation(traceManager) {
       }
       
       const workflowId = workflow?.id ?? "unknown";
+      const executionId = getExecutionKey(workflow, additionalData);
       
       // Prepare tracking data for this node
       const nodeStartedAt = getTimestamp();
       
-      // Get execution data for this workflow
-      const execution = traceManager.getWorkflowExecution(workflowId);
-      const traceId = execution ? execution.traceId : `wf-${workflowId}-${nodeStartedAt}`;
-      const nodeSpanId = `${traceId}-node-${node.name}`;
+      // Get execution data for the run this node belongs to
+      const execution = traceManager.getWorkflowExecution(executionId);
+      const traceId = execution ? execution.traceId : createTraceId(workflowId, executionId);
+      const workflowSpanId = execution ? execution.workflowSpanId : `${traceId}-workflow`;
+      const spanIdPrefix = execution ? execution.spanIdPrefix : traceId;
+      
+      // Remember the trace context of spans that arrive before their
+      // execution, in case it never starts and they're sent on their own
+      if (!execution) {
+        traceManager.trackPendingExecution(executionId, { workflow, traceId });
+      }
+      
+      // A node can run several times per execution (loops, multiple run
+      // indexes, retries), so every run and attempt gets its own span ID
+      const attempt = traceManager.registerNodeAttempt(executionId, node.name, runIndex);
+      const nodeSpanId = `${spanIdPrefix}-node-${node.name}-${runIndex}-${attempt}`;
+      const runAttributes = { run_index: runIndex, attempt };
+      
+      // Sub-nodes sit under the node that calls them, everything else
+      // sits directly under the workflow span
+      const parentNodeName = getParentNodeName(workflow, node.name);
+      const parentSpanId = (parentNodeName && execution?.nodes.get(parentNodeName)) || workflowSpanId;
+      
+      // Get the prompt as written in the node, before n8n resolved its
+      // expressions, for prompt management in LangWatch. It's the same for
+      // every item, so it's only recorded on the node's span.
+      const getPromptTemplate = (extractor, extractionContext) => {
+        const templateContext = { ...extractionContext, resolveParameter: toTemplate };
+        const chatMessages = extractor.extractMessages(extractionContext);
+        const prompt = chatMessages.length > 0 ? chatMessages : extractor.extractInput(extractionContext);
+        const promptTemplate = chatMessages.length > 0
+          ? extractor.extractMessages(templateContext)
+          : extractor.extractInput(templateContext);
+        
+        // Prompts without expressions have no template to speak of
+        return JSON.stringify(promptTemplate) !== JSON.stringify(prompt) ? promptTemplate : null;
+      };
+      
+      // Build an LLM span from the messages, output and usage the extractor
+      // finds in the node data
+      const buildLLMSpan = (extractor, extractionContext, modelInfo, span) => {
+        // Extract the messages sent to the model, and the user's input
+        const chatMessages = extractor.extractMessages(extractionContext);
+        const userInput = extractor.extractInput(extractionContext);
+        
+        // Extract LLM output and token usage
+        const llmOutput = extractor.extractOutput(extractionContext);
+        const usage = extractor.extractUsage(extractionContext);
+        
+        const llmSpan = {
+          type: "llm",
+          name: span.name,
+          span_id: span.span_id,
+          parent_id: span.parent_id,
+          vendor: modelInfo.vendor,
+          model: modelInfo.model,
+          // Choose input format (chat messages or text)
+          input: chatMessages.length > 0 ? {
+            type: "chat_messages",
+            value: chatMessages
+          } : {
+            type: "text",
+            value: userInput
+          },
+          output: llmOutput && typeof llmOutput === 'object' ? {
+            type: "json",
+            value: llmOutput
+          } : {
+            type: "text",
+            value: llmOutput || "No output detected"
+          },
+          timestamps: span.timestamps,
+          params: span.params
+        };
+        
+        // Use reported token usage, or count tokens locally when the node
+        // doesn't report any. Nodes with a language model sub-node are not
+        // estimated, since the sub-node spans already account for the tokens,
+        // and neither are nodes that don't call a model, such as triggers.
+        const hasModelSubNode = [...subNodeSnapshot.values()]
+          .some(subNode => subNode.connectionType === 'ai_languageModel');
+        const callsModel = modelInfo.model !== 'unknown' || isLLMNode(node);
+        let metrics = normalizeTokenUsage(usage);
+        
+        if (metrics) {
+          metrics.tokens_estimated = false;
+        } else if (!hasModelSubNode && callsModel) {
+          metrics = {
+            ...estimateUsage({
+              input: chatMessages.length > 0 ? chatMessages : userInput,
+              output: llmOutput,
+              modelInfo
+            }),
+            tokens_estimated: true
+          };
+        }
+        
+        // Add token metrics and their cost if available
+        if (metrics) {
+          llmSpan.metrics = metrics;
+          
+          const cost = traceManager.pricing.calculateCost(modelInfo, llmSpan.metrics);
+          if (cost !== null) {
+            llmSpan.metrics.cost = cost;
+          }
+        }
+        
+        return llmSpan;
+      };
       
-      // Check if this is an AI/LLM node
-      const aiNode = isAINode(node);
+      // Check if this is a retrieval node or an AI/LLM node. Vector stores
+      // live in the LangChain package, so they'd otherwise count as AI nodes.
+      const ragNode = isRAGNode(node);
+      const aiNode = !ragNode && isAINode(node);
       
-      if (aiNode) {
+      if (ragNode) {
+        logger.debug(`Detected retrieval node: ${node.name} (${node.type})`);
+      } else if (aiNode) {
         logger.debug(`Detected AI node: ${node.name} (${node.type})`);
       }
       
+      // Filtered-out nodes get no span unless they fail. AI-only mode goes
+      // by node type, as isAINode also matches names like "Validate email".
+      const traced = traceManager.nodeFilter.shouldTrace(node, workflow, { aiNode: ragNode || isLLMNode(node) });
+      
+      if (execution) {
+        if (traced) {
+          execution.nodes.set(node.name, nodeSpanId);
+        }
+        // Sub-workflows started by this node nest under its span
+        execution.activeSpanId = traced ? nodeSpanId : workflowSpanId;
+      }
+      
+      // Remember how often each attached sub-node has run, so we can pick
+      // out the runs made on behalf of this node afterwards
+      const subNodeSnapshot = snapshotSubNodeRuns(workflow, node.name, runExecutionData);
+      const addSubNodeSpans = (nodeSpan, toolCalls = [], itemSpans = []) => {
+        const subNodeSpans = buildSubNodeSpans({
+          workflow,
+          nodeName: node.name,
+          nodeSpanId,
+          spanIdPrefix,
+          attempt,
+          runExecutionData,
+          snapshot: subNodeSnapshot,
+          pricing: traceManager.pricing
+        });
+        
+        // Nodes processing several items call their model once per item.
+        // Usage is counted on either the node or its model runs, not both.
+        pairModelSpans(itemSpans, subNodeSpans, nodeSpanId);
+        dropModelUsage(nodeSpan, subNodeSpans);
+        
+        // Agent tool calls become tool spans, merged with the tool sub-node
+        // runs where possible
+        const toolSpans = buildToolSpans({ toolCalls, nodeSpan, subNodeSpans });
+        
+        [...itemSpans, ...subNodeSpans, ...toolSpans].forEach(span => traceManager.addSpan(executionId, span));
+      };
+      
+      // Nodes that continue on failure put their errors into output items
+      // instead of throwing, so flag those spans as failed too
+      const markErrorItems = (nodeSpan, result) => {
+        const errorItems = getErrorItems(node, result?.data);
+        if (errorItems.length === 0) return;
+        
+        const itemCount = result.data.reduce((total, items) => total + (items?.length || 0), 0);
+        const firstError = errorItems[0].error || errorItems[0].json?.error;
+        nodeSpan.error = toItemsSpanError(errorItems, itemCount);
+        nodeSpan.params = {
+          ...nodeSpan.params,
+          ...getErrorAttributes(firstError),
+          continued_on_fail: true,
+          error_items: errorItems.length
+        };
+      };
+      
+      // Prompts and queries are captured as n8n resolved them while the
+      // node ran
+      const parameterRecording = recordResolvedParameters(workflow, node);
+      
       try {
         // Run the node
         const result = await originalRunNode.apply(this, arguments);
+        parameterRecording.stop();
         
-        // Get node output
+        // Get the items of the node's main output. The result holds one
+        // list of items per output, whatever the run index.
         const nodeFinishedAt = getTimestamp();
-        const outputData = result?.data?.[runIndex];
+        const outputData = result?.data?.[0];
         
-        // Create the appropriate span based on node type
-        if (aiNode) {
-          // Get model information
-          const modelInfo = detectModelInfo(node);
-          
-          // Extract user's input message
-          const userInput = extractUserInput(node, executionData, runExecutionData, runIndex);
-          
-          // Extract system message for the agent/assistant
-          const systemMessage = extractSystemMessage(node.parameters);
-          
-          // Extract LLM output
-          const { llmOutput, usage } = extractLLMOutput(outputData);
-          
-          // Format input based on available data
-          let chatMessages = [];
-          
-          // Add system message if available
-          if (systemMessage) {
-            chatMessages.push({ role: "system", content: systemMessage });
+        // A Wait node pauses the execution by setting waitTill, and n8n
+        // saves the execution as soon as the node returns, before the
+        // workflow promise settles. Persist the trace identity now, so the
+        // resumed execution continues this trace.
+        if (runExecutionData?.waitTill) {
+          const traceState = traceManager.getTraceState(executionId);
+          if (traceState) {
+            saveTraceState(runExecutionData, {
+              ...traceState,
+              pausedAt: nodeFinishedAt,
+              waitTill: new Date(runExecutionData.waitTill).toISOString(),
+              waitNodeName: node.name
+            });
           }
-          
-          // Add user message if available
-          if (userInput) {
-            chatMessages.push({ role: "user", content: userInput });
+        }
+        
+        // Thread chat executions by session: the node that started the
+        // execution has no source, and memory nodes know the session key
+        if (!executionData.source) {
+          traceManager.setConversation(executionId, traceManager.conversations.fromTriggerItem(outputData?.[0]?.json));
+        }
+        for (const [subNodeName, { connectionType }] of subNodeSnapshot.entries()) {
+          if (connectionType === 'ai_memory') {
+            const threadId = traceManager.conversations.fromMemoryNode(workflow.nodes?.[subNodeName], getInputItemJson(executionData));
+            traceManager.setConversation(executionId, { threadId, userId: null });
           }
+        }
+        
+        if (!traced) {
+          logger.debug(`Skipping span for filtered node: ${node.name} (${node.type})`);
+          return result;
+        }
+        
+        const resolveParameter = (value, itemIndex) => parameterRecording.resolve(value, itemIndex);
+        
+        // Create the appropriate span based on node type
+        if (ragNode) {
+          const extractor = getExtractor(node.type);
+          const extractionContext = { node, executionData, runExecutionData, runIndex, outputData, resolveParameter };
           
-          // Choose input format (chat messages or text)
-          let inputValue;
-          if (chatMessages.length > 0) {
-            inputValue = {
-              type: "chat_messages",
-              value: chatMessages
-            };
-          } else {
-            inputValue = {
-              type: "text",
-              value: userInput
-            };
-          }
+          // Create RAG span with the retrieved documents as contexts
+          const ragSpan = buildRagSpan({
+            workflow,
+            node,
+            query: extractor.extractInput(extractionContext),
+            outputData,
+            span: {
+              name: node.name,
+              span_id: nodeSpanId,
+              parent_id: parentSpanId,
+              timestamps: {
+                started_at: nodeStartedAt,
+                finished_at: nodeFinishedAt
+              },
+              params: runAttributes
+            }
+          });
           
-          // Get model parameters
+          // Add the span to the workflow execution
+          markErrorItems(ragSpan, result);
+          traceManager.addSpan(executionId, ragSpan);
+          addSubNodeSpans(ragSpan);
+        } else if (aiNode) {
+          // Get model information and parameters
+          const modelInfo = detectModelInfo(node);
           const modelParams = extractModelParameters(node);
           
-          // Create LLM span
-          const llmSpan = {
-            type: "llm",
-            span_id: nodeSpanId,
-            vendor: modelInfo.vendor,
-            model: modelInfo.model,
-            input: inputValue,
-            output: {
-              type: "text",
-              value: llmOutput || "No output detected"
-            },
-            timestamps: {
-              started_at: nodeStartedAt,
-              finished_at: nodeFinishedAt
-            },
-            params: modelParams
+          // Pick the extractor adapter for this node type
+          const extractor = getExtractor(node.type);
+          const extractionContext = { node, executionData, runExecutionData, runIndex, outputData, resolveParameter };
+          logger.debug(`Using ${extractor.name} extractor for ${node.name} (${node.type})`);
+          
+          const timestamps = {
+            started_at: nodeStartedAt,
+            finished_at: nodeFinishedAt
           };
           
-          // Add token metrics if available
-          if (usage) {
-            llmSpan.metrics = {
-              prompt_tokens: usage.prompt_tokens || 0,
-              completion_tokens: usage.completion_tokens || 0,
-              total_tokens: usage.total_tokens || 0
+          if (outputData?.length > 1) {
+            // A node processing several items calls the model once per item,
+            // so each call gets its own LLM span, grouped under a span for
+            // the node that carries no usage of its own
+            const groupSpan = {
+              type: "chain",
+              name: node.name,
+              span_id: nodeSpanId,
+              parent_id: parentSpanId,
+              input: {
+                type: "json",
+                value: (executionData.data?.main?.[0] || []).map(item => item.json)
+              },
+              output: {
+                type: "json",
+                value: outputData.map(item => item.json)
+              },
+              timestamps,
+              params: { ...modelParams, ...runAttributes, item_count: outputData.length }
             };
+            
+            const promptTemplate = getPromptTemplate(extractor, getItemContext(extractionContext, 0));
+            if (promptTemplate) {
+              groupSpan.params.prompt_template = promptTemplate;
+            }
+            
+            markErrorItems(groupSpan, result);
+            traceManager.addSpan(executionId, groupSpan);
+            
+            const itemSpans = [];
+            const toolCalls = outputData.flatMap((outputItem, index) => {
+              const itemContext = getItemContext(extractionContext, index);
+              const itemSpan = buildLLMSpan(extractor, itemContext, modelInfo, {
+                name: node.name,
+                span_id: `${nodeSpanId}-item-${index}`,
+                parent_id: nodeSpanId,
+                timestamps,
+                params: { ...modelParams, ...runAttributes, item_index: itemContext.itemIndex }
+              });
+              
+              // An item that failed has an error but no output, and no
+              // tokens to estimate
+              const errorItems = getErrorItems(node, [[outputItem]]);
+              if (errorItems.length > 0) {
+                itemSpan.error = toSpanError(errorItems[0].error || errorItems[0].json?.error);
+                delete itemSpan.output;
+                if (itemSpan.metrics?.tokens_estimated) delete itemSpan.metrics;
+              }
+              
+              itemSpans.push(itemSpan);
+              return extractor.extractToolCalls(itemContext);
+            });
+            
+            addSubNodeSpans(groupSpan, toolCalls, itemSpans);
+          } else {
+            // Create LLM span
+            const promptTemplate = getPromptTemplate(extractor, extractionContext);
+            const llmSpan = buildLLMSpan(extractor, extractionContext, modelInfo, {
+              name: node.name,
+              span_id: nodeSpanId,
+              parent_id: parentSpanId,
+              timestamps,
+              params: { ...modelParams, ...runAttributes, ...(promptTemplate ? { prompt_template: promptTemplate } : {}) }
+            });
+            
+            // Add the span to the workflow execution
+            markErrorItems(llmSpan, result);
+            traceManager.addSpan(executionId, llmSpan);
+            addSubNodeSpans(llmSpan, extractor.extractToolCalls(extractionContext));
           }
-          
-          // Add the span to the workflow execution
-          traceManager.addSpan(workflowId, llmSpan);
         } else {
           // Create component span for regular nodes
           const componentSpan = {
             type: "component",
+            name: node.name,
             span_id: nodeSpanId,
+            parent_id: parentSpanId,
             input: {
               type: "json",
               value: node.parameters || {}
@@ -144,37 +404,43 @@ function setupNodeInstrumentation(traceManager) {
             timestamps: {
               started_at: nodeStartedAt,
               finished_at: nodeFinishedAt
-            }
+            },
+            params: runAttributes
           };
           
           // Add the span to the workflow execution
-          traceManager.addSpan(workflowId, componentSpan);
+          markErrorItems(componentSpan, result);
+          traceManager.addSpan(executionId, componentSpan);
+          addSubNodeSpans(componentSpan);
         }
         
         return result;
       } catch (error) {
+        parameterRecording.stop();
         const nodeFinishedAt = getTimestamp();
         
         // Create error span
         const span = {
-          type: aiNode ? "llm" : "component",
+          type: ragNode ? "rag" : aiNode ? "llm" : "component",
+          name: node.name,
           span_id: nodeSpanId,
+          parent_id: parentSpanId,
           input: {
             type: "json",
             value: node.parameters || {}
           },
-          output: {
-            type: "text",
-            value: `Error: ${error.message || String(error)}`
-          },
+          error: toSpanError(error),
           timestamps: {
             started_at: nodeStartedAt,
             finished_at: nodeFinishedAt
-          }
+          },
+          // Error class (e.g. NodeApiError) and HTTP status of API errors
+          params: { ...runAttributes, ...getErrorAttributes(error) }
         };
         
         // Add the span to the workflow execution
-        traceManager.addSpan(workflowId, span);
+        traceManager.addSpan(executionId, span);
+        addSubNodeSpans(span);
         
         throw error;
       }
@@ -186,4 +452,29 @@ function setupNodeInstrumentation(traceManager) {
   }
 }
 
+/**
+ * Narrow an extraction context to a single item, so extractors that read the
+ * first input and output item see the item's own input and output. The
+ * output item is paired with the input item it was produced from.
+ * @param {Object} context - Extraction context of the node run
+ * @param {number} outputIndex - Index of the output item
+ * @returns {Object} Extraction context with `itemIndex` set to the input item index
+ */
+function getItemContext(context, outputIndex) {
+  const outputItem = context.outputData[outputIndex];
+  const itemIndex = getPairedItemIndex(outputItem, outputIndex);
+  const inputItem = context.executionData?.data?.main?.[0]?.[itemIndex];
+  
+  return {
+    ...context,
+    itemIndex,
+    resolveParameter: (value) => context.resolveParameter(value, itemIndex),
+    executionData: {
+      ...context.executionData,
+      data: { ...context.executionData?.data, main: [inputItem ? [inputItem] : []] }
+    },
+    outputData: [outputItem]
+  };
+}
+
 module.exports = { setupNodeInstrumentation };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// instrumentation/queue-instrumentation.js - Instruments n8n's execution queue
+const path = require('path');
+const { logger } = require('../logger');
+const { getTimestamp } = require('../utils/helpers');
+const { saveEnqueuedAt } = require('../utils/trace-state');
+
+// Module of n8n's ActiveExecutions service, renamed in n8n 1.5x
+const ACTIVE_EXECUTIONS_MODULES = ['active-executions', 'ActiveExecutions'];
+
+/**
+ * Load n8n's ActiveExecutions class from the n8n package this
+ * instrumentation is installed into
+ * @returns {Function|null} ActiveExecutions class or null if not found
+ */
+function loadActiveExecutions() {
+  for (const moduleName of ACTIVE_EXECUTIONS_MODULES) {
+    try {
+      const { ActiveExecutions } = require(path.join(__dirname, '..', 'dist', moduleName));
+      if (ActiveExecutions) return ActiveExecutions;
+    } catch (error) {
+      logger.debug(`n8n module dist/${moduleName} not found: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Patch n8n's execution registration to record when queue-mode executions
+ * are enqueued. The time is saved with the execution data, which workers
+ * load to run the execution, so they can report the queue wait time.
+ */
+function setupQueueInstrumentation() {
+  if (process.env.EXECUTIONS_MODE !== 'queue') {
+    return;
+  }
+
+  try {
+    const ActiveExecutions = loadActiveExecutions();
+    if (!ActiveExecutions) {
+      logger.warn('n8n ActiveExecutions not found, queue wait times will not be reported');
+      return;
+    }
+
+    // Save the original method
+    const originalAdd = ActiveExecutions.prototype.add;
+
+    // Replace with our instrumented version. n8n saves the execution data
+    // while adding it, right before the execution is enqueued.
+    ActiveExecutions.prototype.add = function (executionData) {
+      if (executionData?.executionData) {
+        saveEnqueuedAt(executionData.executionData, getTimestamp());
+      }
+
+      return originalAdd.apply(this, arguments);
+    };
+
+    logger.debug('Queue instrumentation set up successfully');
+  } catch (error) {
+    logger.error(`Error setting up queue instrumentation: ${error.message}`);
+  }
+}
+
+module.exports = { setupQueueInstrumentation };
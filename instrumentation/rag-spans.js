@@ -0,0 +1,142 @@
+// instrumentation/rag-spans.js - Builds RAG spans for vector store and retriever nodes
+const { logger } = require('../logger');
+const { detectModelInfo } = require('../utils/model-detection');
+const { getSubNodes } = require('../utils/workflow-graph');
+
+// n8n's default number of documents returned by a vector store
+const DEFAULT_TOP_K = 4;
+
+/**
+ * Normalize a retrieved document. n8n returns LangChain documents as
+ * { pageContent, metadata }, either on their own, as [document, score] pairs,
+ * or wrapped as { document, score } on vector store output items.
+ * @param {Object|Array} entry - Retrieved document in any of n8n's shapes
+ * @param {number} index - Position in the result list
+ * @returns {Object|null} Document as { document_id, chunk_id, score, content, metadata }
+ */
+function normalizeDocument(entry, index) {
+  let document = entry;
+  let score;
+
+  if (Array.isArray(entry)) {
+    [document, score] = entry;
+  } else if (entry?.document) {
+    document = entry.document;
+    score = entry.score;
+  }
+
+  if (!document || document.pageContent === undefined) return null;
+
+  const metadata = document.metadata || {};
+  return {
+    document_id: String(metadata.id ?? metadata.documentId ?? metadata.document_id ?? metadata.source ?? document.id ?? `doc-${index}`),
+    chunk_id: String(metadata.chunkId ?? metadata.chunk_id ?? metadata.loc?.lines?.from ?? index),
+    score: typeof score === 'number' ? score : null,
+    content: document.pageContent,
+    metadata
+  };
+}
+
+/**
+ * Normalize a list of retrieved documents
+ * @param {Array} entries - Retrieved documents in any of n8n's shapes
+ * @returns {Array<Object>} Normalized documents
+ */
+function normalizeDocuments(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries.map(normalizeDocument).filter(Boolean);
+}
+
+/**
+ * Convert documents to LangWatch RAG contexts, as used by its RAG evaluators
+ * @param {Array<Object>} documents - Normalized documents
+ * @returns {Array<Object>} Contexts as { document_id, chunk_id, content }
+ */
+function toContexts(documents) {
+  return documents.map(({ document_id, chunk_id, content }) => ({ document_id, chunk_id, content }));
+}
+
+/**
+ * Get the embedding model attached to a vector store node
+ * @param {Object} workflow - n8n workflow instance
+ * @param {string} nodeName - Name of the vector store node
+ * @returns {string|null} Embedding model as `vendor/model`, or null if none is attached
+ */
+function getEmbeddingModel(workflow, nodeName) {
+  const embeddingNode = getSubNodes(workflow, nodeName)
+    .find(subNode => subNode.connectionType === 'ai_embedding');
+  if (!embeddingNode) return null;
+
+  const modelInfo = detectModelInfo(workflow?.nodes?.[embeddingNode.name]);
+  return `${modelInfo.vendor}/${modelInfo.model}`;
+}
+
+/**
+ * Build the RAG span for a vector store node run in "get many" mode, where
+ * every output item is one retrieved document
+ * @param {Object} options - Build options
+ * @param {Object} options.workflow - n8n workflow instance
+ * @param {Object} options.node - Vector store node definition
+ * @param {string} options.query - Query sent to the vector store
+ * @param {Array<Object>} options.outputData - Node output items
+ * @param {Object} options.span - Base span with IDs, timestamps and params
+ * @returns {Object} RAG span
+ */
+function buildRagSpan({ workflow, node, query, outputData, span }) {
+  const documents = normalizeDocuments((outputData || []).map(item => item.json));
+  const embeddingModel = getEmbeddingModel(workflow, node.name);
+
+  logger.debug(`Retrieved ${documents.length} documents for ${node.name}`);
+
+  return {
+    ...span,
+    type: 'rag',
+    input: {
+      type: 'text',
+      value: query
+    },
+    output: {
+      type: 'json',
+      value: documents
+    },
+    contexts: toContexts(documents),
+    params: {
+      ...span.params,
+      top_k: node.parameters?.topK ?? DEFAULT_TOP_K,
+      ...(embeddingModel ? { embedding_model: embeddingModel } : {})
+    }
+  };
+}
+
+/**
+ * Add the query, retrieved documents and contexts to a retriever or vector
+ * store sub-node span. n8n logs these runs with input { query, k } and
+ * output { response: documents }.
+ * @param {Object} span - Sub-node span
+ * @param {Object} workflow - n8n workflow instance
+ */
+function addRetrievalDetails(span, workflow) {
+  const input = span.input.value;
+  const documents = normalizeDocuments(span.output.value?.response);
+
+  if (input?.query !== undefined) {
+    span.input = { type: 'text', value: String(input.query) };
+  }
+
+  span.output = { type: 'json', value: documents };
+  span.contexts = toContexts(documents);
+
+  if (input?.k !== undefined) {
+    span.params = { ...span.params, top_k: input.k };
+  }
+
+  const embeddingModel = getEmbeddingModel(workflow, span.name);
+  if (embeddingModel) {
+    span.params = { ...span.params, embedding_model: embeddingModel };
+  }
+}
+
+module.exports = {
+  buildRagSpan,
+  addRetrievalDetails
+};
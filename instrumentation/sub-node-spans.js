@@ -0,0 +1,273 @@
+// instrumentation/sub-node-spans.js - Builds spans for AI sub-node runs
+const { logger } = require('../logger');
+const { normalizeTokenUsage } = require('../utils/helpers');
+const { detectModelInfo } = require('../utils/model-detection');
+const { getSubNodes } = require('../utils/workflow-graph');
+const { estimateUsage } = require('../utils/token-counter');
+const { addRetrievalDetails } = require('./rag-spans');
+
+/**
+ * LangWatch span type for each AI connection type
+ */
+const SUB_NODE_SPAN_TYPES = {
+  ai_languageModel: 'llm',
+  ai_tool: 'tool',
+  ai_retriever: 'rag',
+  ai_vectorStore: 'rag'
+};
+
+/**
+ * Record how many runs each sub-node (recursively) already has, so that the
+ * runs triggered by the upcoming root node execution can be picked out later
+ * @param {Object} workflow - n8n workflow instance
+ * @param {string} nodeName - Name of the root node
+ * @param {Object} runExecutionData - Run execution data
+ * @returns {Map<string, Object>} Sub-node name to { parentName, connectionType, runCount }
+ */
+function snapshotSubNodeRuns(workflow, nodeName, runExecutionData) {
+  const snapshot = new Map();
+  const runData = runExecutionData?.resultData?.runData || {};
+  const queue = [nodeName];
+
+  while (queue.length > 0) {
+    const parentName = queue.shift();
+
+    for (const { name, connectionType } of getSubNodes(workflow, parentName)) {
+      if (name === nodeName || snapshot.has(name)) continue;
+
+      snapshot.set(name, {
+        parentName,
+        connectionType,
+        runCount: runData[name]?.length || 0
+      });
+      queue.push(name);
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Get the json of the items a sub-node run produced or received
+ * @param {Object} data - Task data keyed by connection type
+ * @param {string} connectionType - AI connection type
+ * @returns {Object|Array|null} Single item json, list of item json, or null
+ */
+function getConnectionJson(data, connectionType) {
+  const items = data?.[connectionType]?.[0];
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  return items.length === 1 ? items[0].json : items.map(item => item.json);
+}
+
+/**
+ * Build spans for the sub-node runs triggered by a root node execution
+ * @param {Object} options - Build options
+ * @param {Object} options.workflow - n8n workflow instance
+ * @param {string} options.nodeName - Name of the root node
+ * @param {string} options.nodeSpanId - Span ID of the root node
+ * @param {string} options.spanIdPrefix - Span ID prefix of the workflow execution
+ * @param {number} options.attempt - Attempt of the root node run, so retried attempts get spans of their own
+ * @param {Object} options.runExecutionData - Run execution data
+ * @param {Map<string, Object>} options.snapshot - Result of snapshotSubNodeRuns
+ * @param {Object} options.pricing - Pricing table used to cost language model runs
+ * @returns {Array<Object>} Sub-node spans
+ */
+function buildSubNodeSpans({ workflow, nodeName, nodeSpanId, spanIdPrefix, attempt, runExecutionData, snapshot, pricing }) {
+  const runData = runExecutionData?.resultData?.runData || {};
+  const spansByNode = new Map();
+  const spans = [];
+
+  // The snapshot is in breadth-first order, so parents are always built
+  // before the sub-nodes they call
+  for (const [subNodeName, { parentName, connectionType, runCount }] of snapshot.entries()) {
+    const runs = runData[subNodeName] || [];
+    const subNodeSpans = [];
+
+    for (let runIndex = runCount; runIndex < runs.length; runIndex++) {
+      const taskData = runs[runIndex];
+      const startedAt = taskData.startTime;
+      const finishedAt = startedAt + (taskData.executionTime || 0);
+
+      const span = {
+        type: SUB_NODE_SPAN_TYPES[connectionType] || 'component',
+        name: subNodeName,
+        span_id: `${spanIdPrefix}-node-${subNodeName}-${runIndex}-${attempt}`,
+        // Fall back to the root node if the calling sub-node run can't be found
+        parent_id: findParentSpanId(spansByNode.get(parentName), startedAt) || nodeSpanId,
+        input: {
+          type: 'json',
+          value: getConnectionJson(taskData.inputOverride, connectionType)
+        },
+        output: {
+          type: 'json',
+          value: getConnectionJson(taskData.data, connectionType)
+        },
+        timestamps: {
+          started_at: startedAt,
+          finished_at: finishedAt
+        },
+        // The AI connection tells sub-node spans apart from node spans
+        params: { run_index: runIndex, attempt, connection_type: connectionType }
+      };
+
+      if (connectionType === 'ai_languageModel') {
+        addModelDetails(span, workflow?.nodes?.[subNodeName], pricing);
+      } else if (span.type === 'rag') {
+        addRetrievalDetails(span, workflow);
+      }
+
+      subNodeSpans.push(span);
+    }
+
+    if (subNodeSpans.length > 0) {
+      logger.debug(`Built ${subNodeSpans.length} spans for sub-node ${subNodeName} of ${nodeName}`);
+    }
+
+    spansByNode.set(subNodeName, subNodeSpans);
+    spans.push(...subNodeSpans);
+  }
+
+  return spans;
+}
+
+/**
+ * Add model, token usage and cost to a language model sub-node span
+ * @param {Object} span - Sub-node span
+ * @param {Object} node - Language model node definition
+ * @param {Object} pricing - Pricing table
+ */
+function addModelDetails(span, node, pricing) {
+  const modelInfo = detectModelInfo(node);
+  span.vendor = modelInfo.vendor;
+  span.model = modelInfo.model;
+
+  // n8n's LangChain tracing reports usage on the model's output item, or
+  // its own estimate when the provider doesn't return usage
+  const output = span.output.value;
+  const reported = normalizeTokenUsage(output?.tokenUsage);
+  const n8nEstimate = normalizeTokenUsage(output?.tokenUsageEstimate);
+  let usage;
+
+  if (reported) {
+    usage = { ...reported, tokens_estimated: false };
+  } else if (n8nEstimate) {
+    usage = { ...n8nEstimate, tokens_estimated: true };
+  } else {
+    const generations = (output?.response?.generations || []).flat();
+    usage = {
+      ...estimateUsage({
+        input: (span.input.value?.messages || []).join('\n'),
+        output: generations.map(generation => generation.text || '').join(''),
+        modelInfo
+      }),
+      tokens_estimated: true
+    };
+  }
+
+  span.metrics = usage;
+
+  const cost = pricing?.calculateCost(modelInfo, usage);
+  if (cost !== null && cost !== undefined) {
+    span.metrics.cost = cost;
+  }
+}
+
+/**
+ * Pair the language model runs of a node that processed several items with
+ * the spans of those items. n8n processes the input items one after another,
+ * so with one model run per item the runs are matched to the input items in
+ * run order: the model spans move under their item span, and usage and cost
+ * are kept on one span of each pair so they're counted once. Runs that don't
+ * pair up one to one, e.g. agents calling the model several times per item,
+ * stay under the node span.
+ * @param {Array<Object>} itemSpans - Item spans with their input item index in `params.item_index`
+ * @param {Array<Object>} subNodeSpans - Sub-node spans built for the node run
+ * @param {string} nodeSpanId - Span ID of the node
+ */
+function pairModelSpans(itemSpans, subNodeSpans, nodeSpanId) {
+  const modelSpans = subNodeSpans.filter(span => span.type === 'llm' && span.parent_id === nodeSpanId);
+  if (modelSpans.length === 0) return;
+
+  if (modelSpans.length !== itemSpans.length) {
+    logger.debug(`Can't pair ${modelSpans.length} model runs with ${itemSpans.length} items of ${nodeSpanId}`);
+    return;
+  }
+
+  // Output items can be in a different order than the input items
+  const spansByInputItem = [...itemSpans].sort((a, b) => (a.params?.item_index ?? 0) - (b.params?.item_index ?? 0));
+
+  modelSpans.forEach((modelSpan, index) => {
+    const itemSpan = spansByInputItem[index];
+    modelSpan.parent_id = itemSpan.span_id;
+
+    if (!modelSpan.metrics) return;
+
+    if (itemSpan.metrics) {
+      if (keepsNodeUsage(itemSpan, [modelSpan])) {
+        delete modelSpan.metrics;
+        return;
+      }
+      delete itemSpan.metrics;
+    }
+
+    itemSpan.vendor = modelSpan.vendor;
+    itemSpan.model = modelSpan.model;
+    itemSpan.metrics = modelSpan.metrics;
+    delete modelSpan.metrics;
+  });
+}
+
+/**
+ * Keep usage on either a node that reports usage itself or its model runs,
+ * since the node's usage already covers its model calls, so tokens and cost
+ * are counted once
+ * @param {Object} nodeSpan - Span of the node
+ * @param {Array<Object>} subNodeSpans - Sub-node spans built for the node run
+ */
+function dropModelUsage(nodeSpan, subNodeSpans) {
+  const modelSpans = subNodeSpans.filter(span => span.type === 'llm' && span.parent_id === nodeSpan.span_id && span.metrics);
+  if (!nodeSpan.metrics || modelSpans.length === 0) return;
+
+  if (keepsNodeUsage(nodeSpan, modelSpans)) {
+    modelSpans.forEach(span => delete span.metrics);
+  } else {
+    delete nodeSpan.metrics;
+  }
+}
+
+/**
+ * Whether the usage a node reported wins over the usage of its model runs.
+ * It does unless only the model runs could be priced, e.g. when the node's
+ * own model isn't detected.
+ * @param {Object} nodeSpan - Span of the node, with metrics
+ * @param {Array<Object>} modelSpans - Spans of its model runs
+ * @returns {boolean} True to keep the node's usage
+ */
+function keepsNodeUsage(nodeSpan, modelSpans) {
+  return typeof nodeSpan.metrics.cost === 'number' ||
+    !modelSpans.some(span => typeof span.metrics?.cost === 'number');
+}
+
+/**
+ * Find the span of the parent run that was active when a sub-node run started
+ * @param {Array<Object>} parentSpans - Spans of the parent sub-node
+ * @param {number} startedAt - Start time of the sub-node run
+ * @returns {string|null} Parent span ID or null if none matches
+ */
+function findParentSpanId(parentSpans, startedAt) {
+  if (!parentSpans || parentSpans.length === 0) return null;
+
+  const activeSpan = parentSpans.find(span =>
+    span.timestamps.started_at <= startedAt && startedAt <= span.timestamps.finished_at
+  );
+
+  return (activeSpan || parentSpans[parentSpans.length - 1]).span_id;
+}
+
+module.exports = {
+  snapshotSubNodeRuns,
+  buildSubNodeSpans,
+  pairModelSpans,
+  dropModelUsage
+};
@@ -0,0 +1,88 @@
+// instrumentation/tool-spans.js - Builds tool spans for agent tool calls
+const { logger } = require('../logger');
+
+/**
+ * Normalize a tool or node name for matching. n8n derives a tool's name from
+ * its node name by replacing spaces and punctuation with underscores.
+ * @param {string} name - Tool or node name
+ * @returns {string} Normalized name
+ */
+function normalizeToolName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Wrap a tool input or output value in a LangWatch span input/output
+ * @param {*} value - Tool input or output
+ * @returns {Object} Span input/output
+ */
+function toSpanValue(value) {
+  if (typeof value === 'string') {
+    return { type: 'text', value };
+  }
+  return { type: 'json', value: value ?? null };
+}
+
+/**
+ * Build one tool span per tool call made by an agent. Calls that match a
+ * tool sub-node run (which carries the real timing) enrich that run's span
+ * instead of adding a second span for the same call.
+ * @param {Object} options - Build options
+ * @param {Array<Object>} options.toolCalls - Tool calls from the node's extractor
+ * @param {Object} options.nodeSpan - Span of the agent node
+ * @param {Array<Object>} options.subNodeSpans - Sub-node spans built for the agent run
+ * @returns {Array<Object>} New tool spans for calls without a matching sub-node run
+ */
+function buildToolSpans({ toolCalls, nodeSpan, subNodeSpans }) {
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) return [];
+
+  // Tool sub-node runs in call order, consumed as calls are matched
+  const unmatchedRuns = subNodeSpans.filter(span => span.type === 'tool');
+  const toolSpans = [];
+
+  toolCalls.forEach((toolCall, index) => {
+    const toolName = toolCall.name || 'unknown';
+    const runIndex = unmatchedRuns.findIndex(span => normalizeToolName(span.name) === normalizeToolName(toolName));
+
+    if (runIndex !== -1) {
+      const [runSpan] = unmatchedRuns.splice(runIndex, 1);
+      runSpan.params = {
+        ...runSpan.params,
+        tool: toolName,
+        step: index,
+        ...(toolCall.log ? { thought: toolCall.log } : {})
+      };
+      if (runSpan.input.value === null && toolCall.input !== undefined) {
+        runSpan.input = toSpanValue(toolCall.input);
+      }
+      if (runSpan.output.value === null && toolCall.output !== undefined) {
+        runSpan.output = toSpanValue(toolCall.output);
+      }
+      return;
+    }
+
+    // No sub-node run to take the timing from. LangWatch needs timestamps,
+    // so the call is placed within the agent run and its timing marked as
+    // unknown rather than passed off as measured.
+    toolSpans.push({
+      type: 'tool',
+      name: toolName,
+      span_id: `${nodeSpan.span_id}-tool-${index}`,
+      parent_id: nodeSpan.span_id,
+      input: toSpanValue(toolCall.input),
+      output: toSpanValue(toolCall.output),
+      timestamps: { ...nodeSpan.timestamps },
+      params: {
+        tool: toolName,
+        step: index,
+        timing_unknown: true,
+        ...(toolCall.log ? { thought: toolCall.log } : {})
+      }
+    });
+  });
+
+  logger.debug(`Built ${toolSpans.length} tool spans for ${toolCalls.length} tool calls of ${nodeSpan.name}`);
+  return toolSpans;
+}
+
+module.exports = { buildToolSpans };
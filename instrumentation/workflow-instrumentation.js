@@ -1,5 +1,7 @@
 // instrumentation/workflow-instrumentation.js - Instruments n8n workflow execution
 const { logger } = require('../logger');
+const { getExecutionKey } = require('../utils/helpers');
+const { loadTraceState, loadEnqueuedAt } = require('../utils/trace-state');
 
 /**
  * Patch n8n workflow execution to track workflow runs
@@ -15,8 +17,14 @@ function setupWorkflowInstrumentation(traceManager) {
     
     // Replace with our instrumented version
     WorkflowExecute.prototype.processRunExecutionData = function (workflow) {
-      // Create a trace for this workflow execution
-      const executionData = traceManager.createWorkflowExecution(workflow);
+      // Create a trace for this workflow execution. Sub-workflows started by
+      // an Execute Workflow node know the execution that called them.
+      // Executions resuming after a Wait node continue their earlier trace.
+      const executionId = getExecutionKey(workflow, this.additionalData);
+      const parentExecutionId = this.runExecutionData?.parentExecution?.executionId;
+      const resumeState = loadTraceState(this.runExecutionData, executionId);
+      const enqueuedAt = resumeState ? null : loadEnqueuedAt(this.runExecutionData);
+      traceManager.createWorkflowExecution(workflow, executionId, { parentExecutionId, resumeState, enqueuedAt });
       
       // Call the original method and get the result
       const result = originalProcessRun.apply(this, arguments);
@@ -24,15 +32,28 @@ function setupWorkflowInstrumentation(traceManager) {
       // Handle workflow completion
       result.then(
         (executionResult) => {
-          // Complete the workflow execution with success
-          traceManager.completeWorkflowExecution(workflow.id, { 
-            success: !executionResult?.data?.resultData?.error 
-          });
+          // Executions pausing on a Wait node are saved and resumed later.
+          // Their trace state was saved with them when the node paused (see
+          // the runNode wrapper), so only the spans so far are sent here.
+          const waitTill = executionResult?.waitTill ?? executionResult?.data?.waitTill;
+          if (waitTill) {
+            const waitTillIso = new Date(waitTill).toISOString();
+            traceManager.completeWorkflowExecution(executionId, { waitTill: waitTillIso });
+            return;
+          }
+          
+          // Complete the workflow execution, with the error n8n recorded if
+          // a node failed
+          const workflowError = executionResult?.data?.resultData?.error;
+          traceManager.completeWorkflowExecution(executionId, workflowError
+            ? { success: false, error: workflowError }
+            : { success: true });
         },
         (error) => {
           // Complete the workflow execution with error
-          traceManager.completeWorkflowExecution(workflow.id, { 
-            error: error.message || String(error) 
+          traceManager.completeWorkflowExecution(executionId, { 
+            success: false,
+            error
           });
         }
       );
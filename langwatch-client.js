@@ -1,15 +1,47 @@
 // langwatch-client.js - API client for LangWatch
 const https = require('https');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const gzip = promisify(zlib.gzip);
 
 class LangWatchClient {
   constructor(options = {}) {
-    this.apiKey = options.apiKey || process.env.LANGWATCH_API_KEY;
-    this.endpoint = options.endpoint || process.env.LANGWATCH_ENDPOINT || 'https://app.langwatch.ai';
+    this.configure(options);
     this.maxRetries = options.maxRetries || 3;
     this.timeout = options.timeout || 10000; // 10 seconds
     
-    if (!this.apiKey) {
+    // Batching: traces are queued and flushed together once the batch is
+    // full or the flush interval elapses. The collector takes one trace per
+    // request, so a flush sends each trace on its own, a few at a time.
+    this.batchSize = options.batchSize || Number(process.env.LANGWATCH_BATCH_SIZE) || 20;
+    this.flushInterval = options.flushInterval || Number(process.env.LANGWATCH_FLUSH_INTERVAL) || 5000; // 5 seconds
+    this.maxQueueSize = options.maxQueueSize || Number(process.env.LANGWATCH_MAX_QUEUE_SIZE) || 1000;
+    this.concurrency = options.concurrency || Number(process.env.LANGWATCH_EXPORT_CONCURRENCY) || 4;
+    this.compression = (options.compression ?? process.env.LANGWATCH_COMPRESSION ?? 'none') === 'gzip';
+    
+    this.queue = [];
+    this.flushPromise = null;
+    this.flushTimer = null;
+    this.stats = { sent: 0, failed: 0, overflowed: 0 };
+    this.overflowedSinceReport = 0;
+  }
+  
+  /**
+   * Set the LangWatch endpoint and API key. Queued traces are sent with the
+   * new settings.
+   * @param {Object} options - Connection options
+   * @param {string} [options.endpoint] - LangWatch API endpoint
+   * @param {string} [options.apiKey] - LangWatch API key
+   */
+  configure(options = {}) {
+    const previousApiKey = this.apiKey;
+    this.apiKey = options.apiKey || process.env.LANGWATCH_API_KEY || '';
+    this.endpoint = options.endpoint || process.env.LANGWATCH_ENDPOINT || 'https://app.langwatch.ai';
+    
+    if (!this.apiKey && this.apiKey !== previousApiKey) {
       logger.warn('No LangWatch API key provided - traces will not be sent');
     }
     
@@ -21,9 +53,9 @@ class LangWatchClient {
   }
   
   /**
-   * Send trace data to LangWatch
+   * Queue trace data for delivery to LangWatch
    * @param {Object} traceData - Trace data to send
-   * @returns {Promise<Object>} Response data
+   * @returns {Promise<Object>} Response data once the trace is sent
    */
   async sendTrace(traceData) {
     if (!this.apiKey) {
@@ -31,30 +63,161 @@ class LangWatchClient {
       return null;
     }
     
-    return this._sendRequest('/api/collector', traceData);
+    return new Promise((resolve, reject) => {
+      this.queue.push({ traceData, resolve, reject });
+      
+      // Bounded queue: hand the oldest trace back when LangWatch can't keep
+      // up. The error has no status code, so the caller spools the trace.
+      if (this.queue.length > this.maxQueueSize) {
+        const overflowed = this.queue.shift();
+        this.stats.overflowed++;
+        this.overflowedSinceReport++;
+        const error = new Error(`Export queue full (${this.maxQueueSize} traces), trace ${overflowed.traceData.trace_id} not sent`);
+        error.code = 'QUEUE_FULL';
+        overflowed.reject(error);
+      }
+      
+      this._startFlushTimer();
+      if (this.queue.length >= this.batchSize) {
+        this.flush();
+      }
+    });
+  }
+  
+  /**
+   * Send all queued traces
+   * @returns {Promise<void>} Resolves once the queue is empty
+   */
+  async flush() {
+    if (this.flushPromise) return this.flushPromise;
+    
+    this.flushPromise = (async () => {
+      if (this.overflowedSinceReport > 0) {
+        logger.warn(`Spooled ${this.overflowedSinceReport} traces because the export queue was full (${this.stats.overflowed} in total)`);
+        this.overflowedSinceReport = 0;
+      }
+      
+      while (this.queue.length > 0) {
+        const batch = this.queue.splice(0, this.batchSize);
+        await this._sendBatch(batch);
+      }
+    })();
+    
+    try {
+      await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+  
+  /**
+   * Get delivery statistics
+   * @returns {Object} Queued, sent, failed and overflowed trace counts
+   */
+  getStats() {
+    return { queued: this.queue.length, ...this.stats };
+  }
+  
+  /**
+   * Stop the background flush timer
+   */
+  stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+  
+  /**
+   * Start the background flush timer if it isn't running yet
+   */
+  _startFlushTimer() {
+    if (this.flushTimer) return;
+    
+    this.flushTimer = setInterval(() => {
+      if (this.queue.length > 0) {
+        this.flush();
+      }
+    }, this.flushInterval);
+    // Don't keep n8n alive just for the exporter
+    this.flushTimer.unref();
+  }
+  
+  /**
+   * Send a batch of queued traces, one request per trace with at most
+   * `concurrency` requests in flight
+   * @param {Array<Object>} batch - Queued traces with their promise callbacks
+   */
+  async _sendBatch(batch) {
+    for (let i = 0; i < batch.length; i += this.concurrency) {
+      await Promise.all(batch.slice(i, i + this.concurrency).map(entry => this._sendEntry(entry)));
+    }
+    logger.debug(`Flushed batch of ${batch.length} traces to LangWatch`);
+  }
+  
+  /**
+   * Send a single queued trace and settle its promise
+   * @param {Object} entry - Queued trace with its promise callbacks
+   */
+  async _sendEntry(entry) {
+    const startedAt = Date.now();
+    
+    try {
+      const body = await this._encodeBody(entry.traceData);
+      const response = await this._sendRequest('/api/collector', body);
+      
+      this.stats.sent++;
+      metrics.tracesSent.inc();
+      metrics.exportDuration.observe((Date.now() - startedAt) / 1000, { outcome: 'success' });
+      entry.resolve(response);
+    } catch (error) {
+      this.stats.failed++;
+      metrics.tracesFailed.inc();
+      metrics.exportDuration.observe((Date.now() - startedAt) / 1000, { outcome: 'failure' });
+      entry.reject(error);
+    }
+  }
+  
+  /**
+   * Serialize and optionally compress a request payload
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} Body as { data, encoding }
+   */
+  async _encodeBody(payload) {
+    const json = JSON.stringify(payload);
+    
+    if (!this.compression) {
+      return { data: Buffer.from(json), encoding: null };
+    }
+    
+    return { data: await gzip(json), encoding: 'gzip' };
   }
   
   /**
    * Send a request to the LangWatch API
    * @param {string} path - API path
-   * @param {Object} data - Request payload
+   * @param {Object} body - Encoded request body from _encodeBody
    * @returns {Promise<Object>} Response data
    */
-  async _sendRequest(path, data, attempt = 1) {
+  async _sendRequest(path, body, attempt = 1) {
     return new Promise((resolve, reject) => {
       try {
-        const postData = JSON.stringify(data);
+        const headers = {
+          'Content-Type': 'application/json',
+          'X-Auth-Token': this.apiKey,
+          'Content-Length': body.data.length
+        };
+        
+        if (body.encoding) {
+          headers['Content-Encoding'] = body.encoding;
+        }
         
         const options = {
           hostname: this.hostname,
           port: this.port,
           path,
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Auth-Token': this.apiKey,
-            'Content-Length': Buffer.byteLength(postData)
-          },
+          headers,
           timeout: this.timeout
         };
         
@@ -76,13 +239,14 @@ class LangWatchClient {
               }
             } else {
               const error = new Error(`HTTP Error: ${res.statusCode} ${responseData}`);
+              error.statusCode = res.statusCode;
               logger.error(`LangWatch API error: ${res.statusCode} ${responseData}`);
               
               // Retry on server errors if we haven't hit max retries
               if (res.statusCode >= 500 && attempt < this.maxRetries) {
                 logger.info(`Retrying request to ${path} (attempt ${attempt + 1}/${this.maxRetries})`);
                 setTimeout(() => {
-                  this._sendRequest(path, data, attempt + 1)
+                  this._sendRequest(path, body, attempt + 1)
                     .then(resolve)
                     .catch(reject);
                 }, Math.pow(2, attempt) * 1000); // Exponential backoff
@@ -100,7 +264,7 @@ class LangWatchClient {
           if (attempt < this.maxRetries) {
             logger.info(`Retrying request to ${path} (attempt ${attempt + 1}/${this.maxRetries})`);
             setTimeout(() => {
-              this._sendRequest(path, data, attempt + 1)
+              this._sendRequest(path, body, attempt + 1)
                 .then(resolve)
                 .catch(reject);
             }, Math.pow(2, attempt) * 1000); // Exponential backoff
@@ -117,7 +281,7 @@ class LangWatchClient {
           if (attempt < this.maxRetries) {
             logger.info(`Retrying request to ${path} (attempt ${attempt + 1}/${this.maxRetries})`);
             setTimeout(() => {
-              this._sendRequest(path, data, attempt + 1)
+              this._sendRequest(path, body, attempt + 1)
                 .then(resolve)
                 .catch(reject);
             }, Math.pow(2, attempt) * 1000); // Exponential backoff
@@ -126,7 +290,7 @@ class LangWatchClient {
           }
         });
         
-        req.write(postData);
+        req.write(body.data);
         req.end();
       } catch (error) {
         logger.error(`Exception sending request to LangWatch: ${error.message}`);
@@ -136,4 +300,15 @@ class LangWatchClient {
   }
 }
 
-module.exports = { LangWatchClient };
\ No newline at end of file
+/**
+ * Check whether a failed send is worth retrying later. Network errors,
+ * timeouts and server errors are; a 4xx means LangWatch rejected the trace
+ * itself, and sending it again would fail the same way.
+ * @param {Error} error - Error from sendTrace
+ * @returns {boolean} True if the trace should be spooled for replay
+ */
+function isRetryableError(error) {
+  return !error?.statusCode || error.statusCode >= 500;
+}
+
+module.exports = { LangWatchClient, isRetryableError };
\ No newline at end of file
@@ -26,4 +26,15 @@ const logger = winston.createLogger({
   ]
 });
 
-module.exports = logger;
\ No newline at end of file
+/**
+ * Apply logging options once the environment is known
+ * @param {Object} options - Logger options
+ * @param {string} [options.logLevel] - Log level (error, warn, info, debug)
+ */
+function setupLogger(options = {}) {
+  if (options.logLevel) {
+    logger.level = options.logLevel;
+  }
+}
+
+module.exports = { logger, setupLogger };
\ No newline at end of file
@@ -0,0 +1,230 @@
+// metrics.js - Prometheus metrics for the health of the instrumentation
+const http = require('http');
+const { logger } = require('./logger');
+
+// Export latency buckets in seconds
+const EXPORT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a counter
+   * @param {string} name - Metric name
+   * @param {string} help - Metric description
+   * @returns {Object} Counter with inc(labels, value)
+   */
+  counter(name, help) {
+    const values = new Map();
+    const metric = {
+      type: 'counter',
+      help,
+      inc: (labels = {}, value = 1) => {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += value;
+        values.set(key, entry);
+      },
+      // Report 0 before the first increment, so rates can be alerted on
+      collect: () => values.size === 0
+        ? [{ name, labels: {}, value: 0 }]
+        : [...values.values()].map(({ labels, value }) => ({ name, labels, value }))
+    };
+
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Register a gauge whose value is read when metrics are scraped
+   * @param {string} name - Metric name
+   * @param {string} help - Metric description
+   * @param {Function} read - Returns the current value, may be async
+   * @returns {Object} Gauge
+   */
+  gauge(name, help, read) {
+    const metric = {
+      type: 'gauge',
+      help,
+      collect: async () => [{ name, labels: {}, value: await read() }]
+    };
+
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Register a histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Metric description
+   * @param {Array<number>} buckets - Upper bounds of the buckets
+   * @returns {Object} Histogram with observe(value, labels)
+   */
+  histogram(name, help, buckets) {
+    const values = new Map();
+    const metric = {
+      type: 'histogram',
+      help,
+      observe: (value, labels = {}) => {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bucket, index) => {
+          if (value <= bucket) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        values.set(key, entry);
+      },
+      collect: () => [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bucket, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: String(bucket) }, value: counts[index] })),
+        { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count }
+      ])
+    };
+
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   * @returns {Promise<string>} Metrics text
+   */
+  async render() {
+    const lines = [];
+
+    for (const [name, metric] of this.metrics.entries()) {
+      let samples;
+      try {
+        samples = await metric.collect();
+      } catch (error) {
+        logger.debug(`Failed to collect metric ${name}: ${error.message}`);
+        continue;
+      }
+
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+      for (const sample of samples) {
+        lines.push(`${sample.name}${formatLabels(sample.labels)} ${sample.value}`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Build a stable key for a set of labels
+ * @param {Object} labels - Label names and values
+ * @returns {string} Key
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Format labels for the exposition format
+ * @param {Object} labels - Label names and values
+ * @returns {string} Formatted labels, e.g. `{model="gpt-4o"}`
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  const formatted = entries.map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return `{${formatted.join(',')}}`;
+}
+
+const registry = new MetricsRegistry();
+
+// Metrics recorded across the instrumentation
+const metrics = {
+  tracesCreated: registry.counter('langwatch_traces_created_total', 'Workflow execution traces started'),
+  tracesSent: registry.counter('langwatch_traces_sent_total', 'Traces delivered to LangWatch'),
+  tracesFailed: registry.counter('langwatch_traces_failed_total', 'Traces that failed to send after all retries'),
+  tracesDropped: registry.counter('langwatch_traces_dropped_total', 'Traces discarded before delivery, by reason'),
+  exportDuration: registry.histogram('langwatch_export_duration_seconds', 'Duration of export requests to LangWatch', EXPORT_DURATION_BUCKETS),
+  llmTokens: registry.counter('langwatch_llm_tokens_total', 'Tokens of traced LLM calls, by vendor, model and token type'),
+  llmCost: registry.counter('langwatch_llm_cost_usd_total', 'Estimated cost in USD of traced LLM calls, by vendor and model')
+};
+
+/**
+ * Record token and cost totals of the LLM spans of a trace
+ * @param {Array<Object>} spans - Spans of the trace
+ */
+function recordLLMUsage(spans) {
+  for (const span of spans) {
+    if (span.type !== 'llm' || !span.metrics) continue;
+
+    const labels = { vendor: span.vendor || 'unknown', model: span.model || 'unknown' };
+    if (span.metrics.prompt_tokens) {
+      metrics.llmTokens.inc({ ...labels, type: 'prompt' }, span.metrics.prompt_tokens);
+    }
+    if (span.metrics.completion_tokens) {
+      metrics.llmTokens.inc({ ...labels, type: 'completion' }, span.metrics.completion_tokens);
+    }
+    if (typeof span.metrics.cost === 'number') {
+      metrics.llmCost.inc(labels, span.metrics.cost);
+    }
+  }
+}
+
+/**
+ * Start the metrics endpoint if a port is configured
+ * @param {Object} traceManager - The trace manager instance
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on; the endpoint is disabled without one
+ * @param {string} [options.host] - Host to bind to
+ * @returns {http.Server|null} Server or null if disabled
+ */
+function startMetricsServer(traceManager, options = {}) {
+  const port = options.port || Number(process.env.LANGWATCH_METRICS_PORT);
+  const host = options.host || process.env.LANGWATCH_METRICS_HOST || '0.0.0.0';
+  if (!port) return null;
+
+  // Values owned by the trace manager are read at scrape time
+  registry.gauge('langwatch_export_queue_depth', 'Traces waiting in the export queue', () => traceManager.client.queue.length);
+  registry.gauge('langwatch_active_executions', 'Workflow executions currently being traced', () => traceManager.workflowExecutions.size);
+  registry.gauge('langwatch_spool_traces', 'Traces waiting in the spool', async () => (await traceManager.spool.getSize()).count);
+  registry.gauge('langwatch_spool_bytes', 'Size of the spool in bytes', async () => (await traceManager.spool.getSize()).bytes);
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    try {
+      const body = await registry.render();
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    } catch (error) {
+      logger.error(`Failed to render metrics: ${error.message}`);
+      res.writeHead(500);
+      res.end();
+    }
+  });
+
+  server.on('error', (error) => {
+    logger.error(`Metrics endpoint failed: ${error.message}`);
+  });
+
+  server.listen(port, host, () => {
+    logger.info(`Metrics endpoint listening on http://${host}:${port}/metrics`);
+  });
+
+  // Don't keep n8n alive just for the metrics endpoint
+  server.unref();
+  return server;
+}
+
+module.exports = {
+  MetricsRegistry,
+  metrics,
+  recordLLMUsage,
+  startMetricsServer
+};
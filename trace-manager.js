@@ -1,108 +1,403 @@
 // trace-manager.js - Manages trace lifecycle
-const { getTimestamp } = require('./utils/helpers');
-const { LangWatchClient } = require('./langwatch-client');
+const { getTimestamp, createTraceId, getInstanceInfo } = require('./utils/helpers');
+const { LangWatchClient, isRetryableError } = require('./langwatch-client');
+const { TraceSpool } = require('./trace-spool');
+const { Redactor } = require('./utils/redaction');
+const { Sampler } = require('./utils/sampling');
+const { PricingTable, sumSpanCosts } = require('./utils/pricing');
+const { ConversationResolver } = require('./utils/conversation');
+const { getErrorMessage, toSpanError, getErrorAttributes } = require('./utils/errors');
+const { LocalEvaluators } = require('./utils/evaluators');
+const { NodeFilter } = require('./utils/node-filter');
+const { PayloadLimiter } = require('./utils/payload-limits');
+const { metrics, recordLLMUsage } = require('./metrics');
 const { logger } = require('./logger');
 
 class TraceManager {
-  constructor() {
+  /**
+   * @param {Object} options - Trace manager options
+   * @param {number} [options.executionTtl] - Milliseconds without activity before an execution is sent as incomplete
+   * @param {number} [options.pendingTtl] - Milliseconds before spans of an execution that never started are sent as incomplete
+   * @param {number} [options.sweepInterval] - Milliseconds between sweeps for expired executions
+   * @param {Object} [options.config] - Settings from the configuration file
+   */
+  constructor(options = {}) {
+    const config = options.config || {};
+
     this.workflowExecutions = new Map();
     this.pendingNodeExecutions = new Map();
-    this.client = new LangWatchClient();
+    
+    // Executions that never settle and spans whose execution never starts
+    // are evicted by a background sweeper
+    this.executionTtl = options.executionTtl || Number(process.env.LANGWATCH_EXECUTION_TTL) || 3600000; // 1 hour
+    this.pendingTtl = options.pendingTtl || Number(process.env.LANGWATCH_PENDING_TTL) || 300000; // 5 minutes
+    this.sweepInterval = options.sweepInterval || Number(process.env.LANGWATCH_SWEEP_INTERVAL) || 60000; // 1 minute
+    this.sweepTimer = null;
+    
+    this.client = new LangWatchClient({ endpoint: config.endpoint, apiKey: config.apiKey });
+    this.pricing = new PricingTable();
+    this.conversations = new ConversationResolver();
+    this.applyConfig(config);
+    
+    // Host and n8n process type, to tell queue-mode workers apart
+    this.instance = getInstanceInfo();
+    
+    // Traces that fail to send are kept on disk and replayed later
+    this.spool = new TraceSpool({
+      send: (traceData) => this.client.sendTrace(traceData),
+      replayBatchSize: this.client.batchSize
+    });
+    this.spool.start();
+    this._startSweeper();
   }
   
   /**
-   * Create a new workflow execution trace
+   * Apply settings from the configuration file, at startup and whenever the
+   * file changes. Settings the file leaves out fall back to their
+   * environment variables. Executions already running keep their sampling
+   * decision.
+   * @param {Object} config - Validated configuration
+   */
+  applyConfig(config) {
+    const { keepErrors, ...sampling } = config.sampling || {};
+    
+    this.client.configure({ endpoint: config.endpoint, apiKey: config.apiKey });
+    this.redactor = new Redactor(config.redaction);
+    this.sampler = new Sampler({ ...sampling, alwaysKeepErrors: keepErrors });
+    this.evaluators = new LocalEvaluators({ evaluators: config.evaluators });
+    this.nodeFilter = new NodeFilter(config.nodes);
+    this.payloadLimiter = new PayloadLimiter(config.limits);
+    this.labels = config.labels || [];
+  }
+  
+  /**
+   * Create a new workflow execution trace. Sub-workflow executions join the
+   * trace of their parent execution instead of starting a new one, and
+   * executions resuming after a Wait node continue the trace they started.
    * @param {Object} workflow - Workflow definition
+   * @param {string} executionId - n8n execution ID
+   * @param {Object} [options] - Execution options
+   * @param {string} [options.parentExecutionId] - n8n execution ID of the calling workflow
+   * @param {Object} [options.resumeState] - Trace state saved when the execution paused
+   * @param {number} [options.enqueuedAt] - Time a queue-mode execution was enqueued
    * @returns {Object} Execution data
    */
-  createWorkflowExecution(workflow) {
+  createWorkflowExecution(workflow, executionId, options = {}) {
     const workflowId = workflow?.id ?? "unknown";
     const workflowName = workflow?.name ?? "unknown";
+    const { resumeState } = options;
     
-    // Create a trace ID for this workflow execution
-    const traceId = `wf-${workflowId}-${Date.now()}`;
-    const startedAt = getTimestamp();
+    const parentExecution = options.parentExecutionId
+      ? this.workflowExecutions.get(String(options.parentExecutionId)) || null
+      : null;
+    
+    let traceId, workflowSpanId, spanIdPrefix, sampled, sampleRate;
+    let startedAt = getTimestamp();
+    let parentSpanId = null;
+    
+    if (resumeState) {
+      // Continue the trace the execution started before it paused
+      ({ traceId, workflowSpanId, spanIdPrefix, parentSpanId, startedAt, sampled, sampleRate } = resumeState);
+    } else if (parentExecution) {
+      // Nest the sub-workflow under the node that called it, and follow the
+      // parent's sampling decision so the trace is kept or dropped as a whole
+      traceId = parentExecution.traceId;
+      workflowSpanId = `${traceId}-workflow-${executionId}`;
+      spanIdPrefix = `${traceId}-${executionId}`;
+      parentSpanId = parentExecution.activeSpanId || parentExecution.workflowSpanId;
+      ({ sampled, sampleRate } = parentExecution);
+    } else {
+      if (options.parentExecutionId) {
+        logger.debug(`Parent execution ${options.parentExecutionId} not found, starting a new trace for execution ${executionId}`);
+      }
+      
+      // Create a trace ID for this workflow execution
+      traceId = createTraceId(workflowId, executionId);
+      workflowSpanId = `${traceId}-workflow`;
+      spanIdPrefix = traceId;
+      
+      // Head sampling decision; unsampled executions may still be kept at
+      // completion if they fail
+      ({ sampled, rate: sampleRate } = this.sampler.sample(workflow));
+      metrics.tracesCreated.inc();
+    }
     
     // Create a new execution record with an empty spans array
     const executionData = {
       workflow,
+      executionId,
       traceId,
+      workflowSpanId,
+      // Prefix of node span IDs, unique per execution within the trace
+      spanIdPrefix,
       startedAt,
+      // Latest span ID per node name, used to parent sub-node spans
       nodes: new Map(),
+      // Attempt count per node run, keyed by `${nodeName}:${runIndex}`
+      nodeAttempts: new Map(),
+      // Span ID of the node currently running, which parents sub-workflows
+      activeSpanId: null,
+      parentExecutionId: parentExecution ? parentExecution.executionId : null,
+      parentSpanId,
+      // Time a queue-mode execution waited for a worker
+      queueWaitMs: options.enqueuedAt ? Math.max(0, getTimestamp() - options.enqueuedAt) : null,
+      // Cost of the spans sent before the execution paused on a Wait node
+      priorCost: resumeState?.cost || 0,
+      // Conversation the execution belongs to, e.g. a chat session
+      threadId: resumeState?.threadId ?? null,
+      userId: resumeState?.userId ?? null,
       spans: [],
+      sampled,
+      sampleRate,
+      // Last time a span was added, used to evict executions that never settle
+      lastActivityAt: getTimestamp(),
       isComplete: false
     };
     
-    // Store the execution data by workflow ID
-    this.workflowExecutions.set(workflowId, executionData);
+    // Store the execution data by execution ID so parallel runs of the
+    // same workflow don't overwrite each other
+    this.workflowExecutions.set(executionId, executionData);
     
-    logger.debug(`Starting workflow: ${workflowName} (${traceId})`);
+    logger.debug(`${resumeState ? 'Resuming' : 'Starting'} workflow: ${workflowName} (${traceId}, execution ${executionId}, ${sampled ? 'sampled' : 'not sampled'})`);
     
-    // Check for any pending node executions for this workflow
-    if (this.pendingNodeExecutions.has(workflowId)) {
-      const pendingNodes = this.pendingNodeExecutions.get(workflowId);
-      logger.debug(`Found ${pendingNodes.length} pending node executions for workflow ${workflowId}`);
+    // Show the time the execution spent paused on its Wait node
+    if (resumeState?.pausedAt) {
+      this.addSpan(executionId, {
+        type: "task",
+        name: `Waiting: ${resumeState.waitNodeName || 'unknown'}`,
+        span_id: `${spanIdPrefix}-wait-${resumeState.pausedAt}`,
+        parent_id: workflowSpanId,
+        input: {
+          type: "json",
+          value: { wait_till: resumeState.waitTill ?? null }
+        },
+        output: {
+          type: "json",
+          value: { resumed: true }
+        },
+        timestamps: {
+          started_at: resumeState.pausedAt,
+          finished_at: getTimestamp()
+        },
+        params: {
+          node: resumeState.waitNodeName,
+          wait_till: resumeState.waitTill ?? null
+        }
+      });
+    }
+    
+    // Check for any pending node executions for this execution
+    if (this.pendingNodeExecutions.has(executionId)) {
+      const pendingNodes = this.pendingNodeExecutions.get(executionId).spans;
+      logger.debug(`Found ${pendingNodes.length} pending node executions for execution ${executionId}`);
       executionData.spans.push(...pendingNodes);
-      this.pendingNodeExecutions.delete(workflowId);
+      this.pendingNodeExecutions.delete(executionId);
     }
     
     return executionData;
   }
   
   /**
-   * Get the current workflow execution for a workflow ID
-   * @param {string} workflowId - Workflow ID
+   * Get the workflow execution for an n8n execution ID
+   * @param {string} executionId - n8n execution ID
    * @returns {Object|null} Execution data or null if not found
    */
-  getWorkflowExecution(workflowId) {
-    return this.workflowExecutions.get(workflowId) || null;
+  getWorkflowExecution(executionId) {
+    return this.workflowExecutions.get(executionId) || null;
+  }
+  
+  /**
+   * Get the trace state to persist with an execution that pauses, so it can
+   * continue the same trace when it resumes
+   * @param {string} executionId - n8n execution ID
+   * @returns {Object|null} Trace state or null if the execution is not tracked
+   */
+  getTraceState(executionId) {
+    const execution = this.workflowExecutions.get(executionId);
+    if (!execution) return null;
+    
+    return {
+      executionId,
+      traceId: execution.traceId,
+      workflowSpanId: execution.workflowSpanId,
+      spanIdPrefix: execution.spanIdPrefix,
+      parentSpanId: execution.parentSpanId,
+      startedAt: execution.startedAt,
+      sampled: execution.sampled,
+      sampleRate: execution.sampleRate,
+      threadId: execution.threadId,
+      userId: execution.userId,
+      cost: (sumSpanCosts(execution.spans) || 0) + execution.priorCost
+    };
+  }
+  
+  /**
+   * Set the conversation thread and user of an execution. The first source
+   * to provide a value wins, so the trigger item takes precedence over memory
+   * nodes further down the workflow.
+   * @param {string} executionId - n8n execution ID
+   * @param {Object} conversation - Conversation as { threadId, userId }
+   */
+  setConversation(executionId, { threadId, userId }) {
+    const execution = this.workflowExecutions.get(executionId);
+    if (!execution) return;
+    
+    if (threadId && !execution.threadId) {
+      execution.threadId = threadId;
+      logger.debug(`Execution ${executionId} belongs to thread ${threadId}`);
+    }
+    if (userId && !execution.userId) {
+      execution.userId = userId;
+    }
+  }
+  
+  /**
+   * Register a node run and get its attempt number. n8n calls runNode again
+   * with the same run index when a node is retried on failure.
+   * @param {string} executionId - n8n execution ID
+   * @param {string} nodeName - Node name
+   * @param {number} runIndex - Run index of the node
+   * @returns {number} Attempt number, starting at 1
+   */
+  registerNodeAttempt(executionId, nodeName, runIndex) {
+    const execution = this.workflowExecutions.get(executionId);
+    if (!execution) return 1;
+    
+    const key = `${nodeName}:${runIndex}`;
+    const attempt = (execution.nodeAttempts.get(key) || 0) + 1;
+    execution.nodeAttempts.set(key, attempt);
+    execution.lastActivityAt = getTimestamp();
+    
+    return attempt;
   }
   
   /**
    * Add a span to a workflow execution
-   * @param {string} workflowId - Workflow ID
+   * @param {string} executionId - n8n execution ID
    * @param {Object} span - Span data
    */
-  addSpan(workflowId, span) {
-    const execution = this.workflowExecutions.get(workflowId);
+  addSpan(executionId, span) {
+    const execution = this.workflowExecutions.get(executionId);
     
     if (execution) {
+      // Skip spans nobody will ever send
+      if (!execution.sampled && !this.sampler.needsUnsampledSpans()) {
+        return;
+      }
+      
       execution.spans.push(span);
-      logger.debug(`Added span for workflow ${workflowId}`);
+      execution.lastActivityAt = getTimestamp();
+      logger.debug(`Added span for execution ${executionId}`);
     } else {
       // Store in pending executions
-      if (!this.pendingNodeExecutions.has(workflowId)) {
-        this.pendingNodeExecutions.set(workflowId, []);
-      }
-      this.pendingNodeExecutions.get(workflowId).push(span);
-      logger.debug(`Added span to pending queue for workflow ${workflowId}`);
+      this.trackPendingExecution(executionId).spans.push(span);
+      logger.debug(`Added span to pending queue for execution ${executionId}`);
     }
   }
   
   /**
-   * Complete a workflow execution
-   * @param {string} workflowId - Workflow ID
+   * Get the pending record of an execution whose spans arrive before the
+   * execution itself is created
+   * @param {string} executionId - n8n execution ID
+   * @param {Object} [context] - Trace context known to the caller
+   * @param {Object} [context.workflow] - Workflow definition
+   * @param {string} [context.traceId] - Trace ID the spans were created with
+   * @returns {Object} Pending record as { spans, workflow, traceId, createdAt }
+   */
+  trackPendingExecution(executionId, context = {}) {
+    let pending = this.pendingNodeExecutions.get(executionId);
+    
+    if (!pending) {
+      pending = { spans: [], workflow: null, traceId: null, createdAt: getTimestamp() };
+      this.pendingNodeExecutions.set(executionId, pending);
+    }
+    
+    pending.workflow = context.workflow || pending.workflow;
+    pending.traceId = context.traceId || pending.traceId;
+    
+    return pending;
+  }
+  
+  /**
+   * Evict executions without activity for longer than the execution TTL and
+   * pending spans older than the pending TTL. Both are sent as incomplete
+   * traces rather than dropped.
+   * @returns {Object} Evicted counts as { executions, pendingExecutions, pendingSpans }
+   */
+  sweep() {
+    const now = getTimestamp();
+    const evicted = { executions: 0, pendingExecutions: 0, pendingSpans: 0 };
+    
+    for (const [executionId, executionData] of this.workflowExecutions.entries()) {
+      if (now - executionData.lastActivityAt <= this.executionTtl) continue;
+      
+      logger.warn(`Execution ${executionId} had no activity for ${now - executionData.lastActivityAt}ms, sending it as incomplete`);
+      this.completeWorkflowExecution(executionId, { incomplete: true });
+      evicted.executions++;
+    }
+    
+    for (const [executionId, pending] of this.pendingNodeExecutions.entries()) {
+      if (now - pending.createdAt <= this.pendingTtl) continue;
+      
+      this.pendingNodeExecutions.delete(executionId);
+      if (pending.spans.length === 0) continue;
+      
+      logger.warn(`Execution ${executionId} never started, sending its ${pending.spans.length} pending spans as incomplete`);
+      this._sendOrphanSpans(executionId, pending);
+      evicted.pendingExecutions++;
+      evicted.pendingSpans += pending.spans.length;
+    }
+    
+    if (evicted.executions > 0 || evicted.pendingExecutions > 0) {
+      logger.info(`Evicted ${evicted.executions} stale executions and ${evicted.pendingSpans} pending spans of ${evicted.pendingExecutions} executions`);
+    }
+    
+    return evicted;
+  }
+  
+  /**
+   * Complete a workflow execution. Executions pausing on a Wait node are
+   * completed with `waitTill` set, sending the spans recorded so far.
+   * @param {string} executionId - n8n execution ID
    * @param {Object} result - Workflow execution result
+   * @returns {Promise|undefined} Resolves once the trace is sent or spooled
    */
-  completeWorkflowExecution(workflowId, result = null) {
-    const executionData = this.workflowExecutions.get(workflowId);
+  completeWorkflowExecution(executionId, result = null) {
+    const executionData = this.workflowExecutions.get(executionId);
     
     if (executionData) {
+      const parentExecution = executionData.parentExecutionId
+        ? this.workflowExecutions.get(executionData.parentExecutionId) || null
+        : null;
+      
+      // Tail sampling decision, e.g. keep failed runs that weren't sampled.
+      // Sub-workflows are decided together with their parent.
+      if (!parentExecution && !this.sampler.shouldKeep(executionData, result)) {
+        logger.debug(`Dropping unsampled execution ${executionId}`);
+        metrics.tracesDropped.inc({ reason: 'sampling' });
+        this.workflowExecutions.delete(executionId);
+        return;
+      }
+      
       const finishedAt = getTimestamp();
       const workflowName = executionData.workflow?.name || 'unknown';
+      const failed = Boolean(result?.error) || result?.success === false;
       
       // Create a workflow span
       const workflowSpan = {
         type: "workflow",
-        span_id: `${executionData.traceId}-workflow`,
+        name: workflowName,
+        span_id: executionData.workflowSpanId,
+        ...(executionData.parentSpanId ? { parent_id: executionData.parentSpanId } : {}),
         input: {
           type: "text",
           value: `Workflow: ${workflowName}`
         },
         output: {
           type: "json",
-          value: result ? 
-            (result.error ? { error: result.error } : { success: true }) : 
+          value: result?.incomplete ? { incomplete: true } :
+            result?.waitTill ? { waiting: true, wait_till: result.waitTill } :
+            failed ? { success: false, error: getErrorMessage(result.error || 'Workflow execution failed') } :
             { success: true }
         },
         timestamps: {
@@ -111,12 +406,50 @@ class TraceManager {
         }
       };
       
+      // Roll up the cost of all LLM calls so spend can be attributed per
+      // workflow, including calls made before a Wait node paused the execution
+      const spanCost = sumSpanCosts(executionData.spans);
+      if (spanCost !== null || executionData.priorCost) {
+        workflowSpan.metrics = { cost: Number(((spanCost || 0) + executionData.priorCost).toFixed(8)) };
+      }
+      
+      // Sub-workflow spans identify the workflow they belong to, since they
+      // share the trace with the calling workflow
+      if (executionData.parentSpanId) {
+        workflowSpan.params = {
+          workflow_id: executionData.workflow?.id ?? 'unknown',
+          workflow_name: workflowName,
+          execution_id: executionData.executionId
+        };
+      }
+      
+      // Failed executions carry the error, its type and the node that failed
+      if (failed) {
+        workflowSpan.error = toSpanError(result.error || 'Workflow execution failed');
+        workflowSpan.params = {
+          ...workflowSpan.params,
+          ...getErrorAttributes(result.error),
+          ...(result.error?.node?.name ? { failed_node: result.error.node.name } : {})
+        };
+      }
+      
       // Add workflow span to collection
       executionData.spans.push(workflowSpan);
       executionData.isComplete = true;
+      executionData.incomplete = Boolean(result?.incomplete);
+      
+      // Hand the sub-workflow's spans to the parent, which sends them as part
+      // of its trace
+      if (parentExecution) {
+        parentExecution.spans.push(...executionData.spans);
+        this.setConversation(parentExecution.executionId, executionData);
+        this.workflowExecutions.delete(executionId);
+        logger.debug(`Joined ${executionData.spans.length} spans of execution ${executionId} into parent execution ${parentExecution.executionId}`);
+        return;
+      }
       
       // Send all spans to LangWatch
-      this.sendWorkflowToLangWatch(executionData);
+      return this.sendWorkflowToLangWatch(executionData);
     }
   }
   
@@ -125,31 +458,64 @@ class TraceManager {
    * @param {Object} executionData - Workflow execution data
    */
   async sendWorkflowToLangWatch(executionData) {
+    let traceData = null;
+    
     try {
       const workflow = executionData.workflow;
       const traceId = executionData.traceId;
       
-      logger.debug(`Sending ${executionData.spans.length} spans for workflow ${workflow.id}`);
+      logger.debug(`Sending ${executionData.spans.length} spans for workflow ${workflow.id} (execution ${executionData.executionId})`);
+      
+      recordLLMUsage(executionData.spans);
       
-      // Create trace data for LangWatch
-      const traceData = {
+      // Run local checks on the LLM spans while their output is unredacted
+      const evaluations = this.evaluators.evaluateTrace(executionData.spans);
+      
+      // Create trace data for LangWatch, redacting PII and secrets before
+      // it reaches the network or the spool
+      const redactedTrace = this.redactor.redactTrace({
         trace_id: traceId,
         spans: executionData.spans,
+        ...(evaluations.length > 0 ? { evaluations } : {}),
         metadata: {
-          user_id: "n8n-system",
-          thread_id: `workflow-${workflow.id}`,
-          labels: ["n8n", `workflow-${workflow.id}`, workflow.name]
+          user_id: executionData.userId || "n8n-system",
+          thread_id: executionData.threadId || `workflow-${workflow.id}`,
+          execution_id: executionData.executionId,
+          sample_rate: executionData.sampleRate,
+          host: this.instance.host,
+          n8n_instance_type: this.instance.type,
+          ...(executionData.queueWaitMs !== null ? { queue_wait_ms: executionData.queueWaitMs } : {}),
+          labels: ["n8n", `workflow-${workflow.id}`, workflow.name, ...this.labels, ...(executionData.incomplete ? ["incomplete"] : [])]
         }
-      };
+      });
+      
+      // Truncate large inputs and outputs so LangWatch accepts the trace
+      traceData = this.payloadLimiter.limitTrace(redactedTrace);
       
       // Send to LangWatch
       await this.client.sendTrace(traceData);
       logger.info(`Sent workflow execution trace to LangWatch: ${traceId}`);
       
-      // Clean up execution data
-      this.workflowExecutions.delete(workflow.id);
+      // LangWatch is reachable, so deliver anything this process spooled
+      // during an outage; the replay timer picks up the rest
+      this.spool.replayPending();
     } catch (error) {
       logger.error(`Error sending workflow spans: ${error.message}`);
+      
+      // Spool traces that failed on the way; traces LangWatch rejected would
+      // be rejected again and block the spool
+      if (traceData && isRetryableError(error)) {
+        await this.spool.append(traceData);
+      } else if (traceData) {
+        metrics.tracesDropped.inc({ reason: 'rejected' });
+        logger.warn(`Dropped trace ${traceData.trace_id} rejected by LangWatch`);
+      }
+    } finally {
+      // Clean up execution data, failed traces now live in the spool. A
+      // resumed execution may already have taken its place.
+      if (this.workflowExecutions.get(executionData.executionId) === executionData) {
+        this.workflowExecutions.delete(executionData.executionId);
+      }
     }
   }
   
@@ -160,23 +526,83 @@ class TraceManager {
     logger.info(`Flushing ${this.workflowExecutions.size} pending workflow executions`);
     
     const promises = [];
-    for (const [workflowId, executionData] of this.workflowExecutions.entries()) {
+    for (const [executionId, executionData] of this.workflowExecutions.entries()) {
       if (!executionData.isComplete) {
         // Complete the workflow with no result
-        this.completeWorkflowExecution(workflowId);
+        promises.push(this.completeWorkflowExecution(executionId));
       } else {
         // If already complete but not sent, send it now
         promises.push(this.sendWorkflowToLangWatch(executionData));
       }
     }
     
+    // Spans of executions that never started won't get a workflow anymore
+    for (const [executionId, pending] of this.pendingNodeExecutions.entries()) {
+      if (pending.spans.length > 0) {
+        promises.push(this._sendOrphanSpans(executionId, pending));
+      }
+    }
+    this.pendingNodeExecutions.clear();
+    
+    this._stopSweeper();
+    this.spool.stop();
+    this.client.stop();
+    
     try {
+      // Send queued traces right away instead of waiting for the flush interval
+      await this.client.flush();
       await Promise.all(promises);
       logger.info('All pending traces flushed');
     } catch (error) {
       logger.error(`Error flushing pending traces: ${error.message}`);
     }
   }
+  
+  /**
+   * Send the pending spans of an execution that never started as an
+   * incomplete trace
+   * @param {string} executionId - n8n execution ID
+   * @param {Object} pending - Pending record from trackPendingExecution
+   * @returns {Promise|undefined} Resolves once the trace is sent or spooled
+   */
+  _sendOrphanSpans(executionId, pending) {
+    const workflow = pending.workflow || { id: "unknown", name: "unknown" };
+    const { sampled, rate: sampleRate } = this.sampler.sample(workflow);
+    if (!sampled) return;
+    
+    return this.sendWorkflowToLangWatch({
+      workflow,
+      executionId,
+      traceId: pending.traceId || createTraceId(workflow.id, executionId),
+      spans: pending.spans,
+      sampleRate,
+      threadId: null,
+      userId: null,
+      queueWaitMs: null,
+      incomplete: true
+    });
+  }
+  
+  /**
+   * Start the background sweeper if it isn't running yet
+   */
+  _startSweeper() {
+    if (this.sweepTimer) return;
+    
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    // Don't keep n8n alive just for the sweeper
+    this.sweepTimer.unref();
+  }
+  
+  /**
+   * Stop the background sweeper
+   */
+  _stopSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
 }
 
 module.exports = { TraceManager };
\ No newline at end of file
@@ -0,0 +1,307 @@
+// trace-spool.js - Durable on-disk spool for traces that could not be sent
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { isRetryableError } = require('./langwatch-client');
+
+const DEFAULT_SPOOL_DIR = path.join(process.env.N8N_USER_FOLDER || os.homedir(), '.n8n', 'langwatch-spool');
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024; // 50 MB
+const DEFAULT_REPLAY_INTERVAL = 30000; // 30 seconds
+
+// Claimed files left behind by a process that died while sending them are
+// released again after this long
+const CLAIM_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+class TraceSpool {
+  /**
+   * @param {Object} options - Spool options
+   * @param {Function} options.send - Sends a spooled trace, rejecting on failure
+   * @param {string} [options.directory] - Spool directory
+   * @param {number} [options.maxBytes] - Maximum total size of spooled traces
+   * @param {number} [options.replayInterval] - Milliseconds between replay attempts
+   * @param {number} [options.replayBatchSize] - Traces sent concurrently while replaying
+   */
+  constructor(options = {}) {
+    this.send = options.send;
+    this.directory = options.directory || process.env.LANGWATCH_SPOOL_DIR || DEFAULT_SPOOL_DIR;
+    this.maxBytes = options.maxBytes || Number(process.env.LANGWATCH_SPOOL_MAX_BYTES) || DEFAULT_MAX_BYTES;
+    this.replayInterval = options.replayInterval || Number(process.env.LANGWATCH_SPOOL_REPLAY_INTERVAL) || DEFAULT_REPLAY_INTERVAL;
+    this.replayBatchSize = options.replayBatchSize || 1;
+    this.sequence = 0;
+    this.timer = null;
+    this.replaying = false;
+    // Whether this process knows of spooled traces, so replays after each
+    // successful send don't scan the spool directory for nothing
+    this.hasPending = false;
+  }
+
+  /**
+   * Start replaying spooled traces in the background
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.replay(), this.replayInterval);
+    // Don't keep n8n alive just for the spool
+    this.timer.unref();
+
+    logger.debug(`Trace spool started (${this.directory})`);
+  }
+
+  /**
+   * Stop replaying spooled traces
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Append a trace to the spool, evicting the oldest traces if the spool
+   * grows past its size cap
+   * @param {Object} traceData - Trace data to spool
+   */
+  async append(traceData) {
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+
+      // Timestamp first so file names sort oldest-first; the pid keeps
+      // names unique when several n8n processes share the data volume
+      const fileName = `${Date.now()}-${process.pid}-${this.sequence++}.json`;
+      const filePath = path.join(this.directory, fileName);
+      const tempPath = `${filePath}.tmp`;
+
+      // Write to a temp file first so a crash never leaves a partial trace
+      await fs.writeFile(tempPath, JSON.stringify(traceData));
+      await fs.rename(tempPath, filePath);
+
+      this.hasPending = true;
+      logger.info(`Spooled trace ${traceData.trace_id} for later delivery`);
+
+      await this._enforceSizeCap();
+    } catch (error) {
+      logger.error(`Failed to spool trace ${traceData.trace_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replay spooled traces if this process spooled any that haven't been
+   * delivered yet. Traces spooled by other processes sharing the directory
+   * are left to the replay timer.
+   * @returns {Promise<number>} Number of traces replayed
+   */
+  async replayPending() {
+    if (!this.hasPending) return 0;
+    return this.replay();
+  }
+
+  /**
+   * Try to send all spooled traces, oldest first. Stops after the first batch
+   * with a failure since the endpoint is most likely still unreachable.
+   * @returns {Promise<number>} Number of traces replayed
+   */
+  async replay() {
+    if (this.replaying) return 0;
+    this.replaying = true;
+
+    let replayed = 0;
+    try {
+      await this._releaseStaleClaims();
+      const files = await this._listFiles();
+      let paused = false;
+
+      for (let i = 0; i < files.length; i += this.replayBatchSize) {
+        const batch = files.slice(i, i + this.replayBatchSize);
+        const results = await Promise.all(batch.map(file => this._replayFile(file)));
+        replayed += results.filter(Boolean).length;
+
+        if (results.includes(false)) {
+          paused = true;
+          break;
+        }
+      }
+
+      this.hasPending = paused;
+
+      if (replayed > 0) {
+        logger.info(`Replayed ${replayed} spooled traces to LangWatch`);
+      }
+    } catch (error) {
+      logger.error(`Error replaying spooled traces: ${error.message}`);
+    } finally {
+      this.replaying = false;
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Send a single spooled trace and remove it once delivered. The file is
+   * claimed by renaming it first, so processes sharing the spool directory
+   * never send the same trace twice.
+   * @param {Object} file - Spooled file as { name, path, size }
+   * @returns {Promise<boolean|null>} True if sent, false if sending failed, null if discarded or claimed elsewhere
+   */
+  async _replayFile(file) {
+    const claimedPath = `${file.path}.${Date.now()}.sending`;
+    try {
+      await fs.rename(file.path, claimedPath);
+    } catch (error) {
+      // Claimed by another process, or already delivered
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let traceData;
+    try {
+      traceData = JSON.parse(await fs.readFile(claimedPath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Discarding unreadable spooled trace ${file.name}: ${error.message}`);
+      await this._remove(claimedPath);
+      return null;
+    }
+
+    try {
+      await this.send(traceData);
+    } catch (error) {
+      if (!isRetryableError(error)) {
+        // Rejected traces would block the traces spooled after them
+        metrics.tracesDropped.inc({ reason: 'rejected' });
+        logger.warn(`Discarding spooled trace ${file.name} rejected by LangWatch: ${error.message}`);
+        await this._remove(claimedPath);
+        return null;
+      }
+
+      // Release the claim so the trace is retried later
+      await fs.rename(claimedPath, file.path);
+      logger.debug(`Spool replay paused, LangWatch still unreachable: ${error.message}`);
+      return false;
+    }
+
+    await this._remove(claimedPath);
+    return true;
+  }
+
+  /**
+   * Release claimed files whose claim is older than the claim timeout, left
+   * behind by a process that stopped while sending them
+   */
+  async _releaseStaleClaims() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const name of names) {
+      const match = name.match(/^(.+\.json)\.(\d+)\.sending$/);
+      if (!match || Date.now() - Number(match[2]) < CLAIM_TIMEOUT) continue;
+
+      try {
+        await fs.rename(path.join(this.directory, name), path.join(this.directory, match[1]));
+        logger.debug(`Released stale claim on spooled trace ${match[1]}`);
+      } catch (error) {
+        // Released by another process
+      }
+    }
+  }
+
+  /**
+   * Get the current size of the spool
+   * @returns {Promise<Object>} Number of spooled traces and their total size in bytes
+   */
+  async getSize() {
+    const files = await this._listFiles();
+    return {
+      count: files.length,
+      bytes: files.reduce((total, file) => total + file.size, 0)
+    };
+  }
+
+  /**
+   * Delete the oldest spooled traces until the spool fits its size cap
+   */
+  async _enforceSizeCap() {
+    const files = await this._listFiles();
+    let totalBytes = files.reduce((total, file) => total + file.size, 0);
+    let evicted = 0;
+
+    for (const file of files) {
+      if (totalBytes <= this.maxBytes) break;
+
+      await this._remove(file.path);
+      totalBytes -= file.size;
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      metrics.tracesDropped.inc({ reason: 'spool_full' }, evicted);
+      logger.warn(`Trace spool over ${this.maxBytes} bytes, evicted ${evicted} oldest traces`);
+    }
+  }
+
+  /**
+   * List spooled trace files, oldest first
+   * @returns {Promise<Array<Object>>} Files as { name, path, size }
+   */
+  async _listFiles() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names.filter(n => n.endsWith('.json')).sort(compareSpoolNames)) {
+      const filePath = path.join(this.directory, name);
+      try {
+        const stats = await fs.stat(filePath);
+        files.push({ name, path: filePath, size: stats.size });
+      } catch (error) {
+        // Removed by a concurrent replay or eviction
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Remove a spooled trace file, ignoring files that are already gone
+   * @param {string} filePath - File to remove
+   */
+  async _remove(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to remove spooled trace ${filePath}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Order spool file names by timestamp, then pid and sequence
+ * @param {string} a - File name
+ * @param {string} b - File name
+ * @returns {number} Sort order
+ */
+function compareSpoolNames(a, b) {
+  const partsA = a.split(/[-.]/).map(Number);
+  const partsB = b.split(/[-.]/).map(Number);
+
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) return (partsA[i] || 0) - (partsB[i] || 0);
+  }
+  return 0;
+}
+
+module.exports = { TraceSpool };
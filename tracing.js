@@ -13,7 +13,7 @@ const { getNodeAutoInstrumentations } = require("@opentelemetry/auto-instrumenta
 const { registerInstrumentations } = require("@opentelemetry/instrumentation");
 const { Resource } = require("@opentelemetry/resources");
 const { SemanticResourceAttributes } = require("@opentelemetry/semantic-conventions");
-const logger = require("./logger");
+const { logger } = require("./logger");
 
 // Import the n8n instrumentation
 const setupN8nLangWatchInstrumentation = require("./n8n-langwatch-instrumentation");
@@ -0,0 +1,89 @@
+// utils/conversation.js - Resolves the conversation thread and user of an execution
+const { logger } = require('../logger');
+const { getValueAtPath } = require('./helpers');
+
+// Matches expressions reading from the current item, e.g. `={{ $json.body.user }}`
+const JSON_EXPRESSION_PATTERN = /^=?\{\{\s*\$json\.?(.*?)\s*\}\}$/;
+
+class ConversationResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {string} [options.threadIdPath] - Expression or JSON path of the thread ID on the trigger item
+   * @param {string} [options.userIdPath] - Expression or JSON path of the user ID on the trigger item
+   */
+  constructor(options = {}) {
+    this.threadIdPath = options.threadIdPath ?? process.env.LANGWATCH_THREAD_ID_PATH ?? null;
+    this.userIdPath = options.userIdPath ?? process.env.LANGWATCH_USER_ID_PATH ?? null;
+
+    if (this.threadIdPath || this.userIdPath) {
+      logger.debug(`Reading conversation from trigger items (thread: ${this.threadIdPath || 'sessionId'}, user: ${this.userIdPath || 'none'})`);
+    }
+  }
+
+  /**
+   * Get the conversation from the item that started the execution. Chat
+   * Trigger items carry the chat session as `sessionId`.
+   * @param {Object} json - Trigger item json
+   * @returns {Object} Conversation as { threadId, userId }, with null for unknown fields
+   */
+  fromTriggerItem(json) {
+    if (!json) return { threadId: null, userId: null };
+
+    const threadId = this.threadIdPath ? readValue(json, this.threadIdPath) : json.sessionId;
+    const userId = this.userIdPath ? readValue(json, this.userIdPath) : null;
+
+    return {
+      threadId: toId(threadId),
+      userId: toId(userId)
+    };
+  }
+
+  /**
+   * Get the thread ID from the session key of a memory node, which n8n reads
+   * from the input item (`sessionId`) or from a custom key
+   * @param {Object} memoryNode - Memory node definition
+   * @param {Object} json - Json of the item the calling node received
+   * @returns {string|null} Thread ID, or null if it can't be resolved
+   */
+  fromMemoryNode(memoryNode, json) {
+    const parameters = memoryNode?.parameters || {};
+
+    if (parameters.sessionIdType === 'fromInput') {
+      return toId(json?.sessionId);
+    }
+
+    const sessionKey = parameters.sessionKey;
+    if (typeof sessionKey !== 'string' || sessionKey === '') return null;
+
+    // Plain strings are fixed keys, expressions can only be resolved when
+    // they read from the item
+    if (!sessionKey.startsWith('=')) return sessionKey;
+    return JSON_EXPRESSION_PATTERN.test(sessionKey) ? toId(readValue(json, sessionKey)) : null;
+  }
+}
+
+/**
+ * Read a value from an item with a `{{ $json... }}` expression or a JSON path
+ * @param {Object} json - Item json
+ * @param {string} path - Expression or JSON path
+ * @returns {*} Value, or undefined if not found
+ */
+function readValue(json, path) {
+  const match = path.match(JSON_EXPRESSION_PATTERN);
+  const jsonPath = match ? match[1] : path;
+
+  return jsonPath ? getValueAtPath(json, jsonPath) : undefined;
+}
+
+/**
+ * Convert a resolved value to an identifier
+ * @param {*} value - Resolved value
+ * @returns {string|null} Identifier, or null for empty and non-scalar values
+ */
+function toId(value) {
+  if (typeof value === 'string') return value === '' ? null : value;
+  if (typeof value === 'number') return String(value);
+  return null;
+}
+
+module.exports = { ConversationResolver };
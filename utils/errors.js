@@ -0,0 +1,108 @@
+// utils/errors.js - Converts n8n errors to LangWatch span errors
+const { logger } = require('../logger');
+
+/**
+ * Get the message of an error, which n8n may pass as an Error, a serialized
+ * error object or a string
+ * @param {Error|Object|string} error - Error
+ * @returns {string} Error message
+ */
+function getErrorMessage(error) {
+  if (typeof error === 'string') return error;
+  return error?.message || error?.description || String(error);
+}
+
+/**
+ * Build the LangWatch `error` field of a span
+ * @param {Error|Object|string} error - Error
+ * @returns {Object} Error as { has_error, message, stacktrace }
+ */
+function toSpanError(error) {
+  const stack = typeof error?.stack === 'string' ? error.stack : '';
+
+  return {
+    has_error: true,
+    message: getErrorMessage(error),
+    stacktrace: stack ? stack.split('\n').map(line => line.trim()).filter(Boolean) : []
+  };
+}
+
+/**
+ * Get span attributes describing an n8n error, such as the error class
+ * (NodeApiError, NodeOperationError, ...) and the HTTP status of API errors
+ * @param {Error|Object|string} error - Error
+ * @returns {Object} Attributes as { error_type, http_code, error_description }
+ */
+function getErrorAttributes(error) {
+  if (!error || typeof error !== 'object') return { error_type: 'Error' };
+
+  // n8n serializes errors between processes, keeping the class in `name`
+  const errorType = error.constructor?.name && error.constructor.name !== 'Object'
+    ? error.constructor.name
+    : error.name || 'Error';
+  const httpCode = error.httpCode ?? error.cause?.httpCode ?? error.context?.httpCode;
+
+  return {
+    error_type: errorType,
+    ...(httpCode !== undefined && httpCode !== null ? { http_code: String(httpCode) } : {}),
+    ...(error.description ? { error_description: String(error.description) } : {})
+  };
+}
+
+/**
+ * Check whether a node is set to continue when it fails, in which case the
+ * failure ends up in its output items instead of being thrown
+ * @param {Object} node - Node definition
+ * @returns {boolean} True if the node continues on failure
+ */
+function continuesOnFail(node) {
+  return Boolean(node?.continueOnFail) ||
+    node?.onError === 'continueRegularOutput' ||
+    node?.onError === 'continueErrorOutput';
+}
+
+/**
+ * Get the error items a node with continue-on-fail produced. With "continue
+ * (using error output)" n8n routes failed items to the error output, which
+ * it adds after the node's regular outputs. Otherwise failed items carry an
+ * `error` in their json.
+ * @param {Object} node - Node definition
+ * @param {Array<Array<Object>>} outputs - Node output items per output
+ * @returns {Array<Object>} Error items
+ */
+function getErrorItems(node, outputs) {
+  if (!continuesOnFail(node) || !Array.isArray(outputs)) return [];
+
+  if (node.onError === 'continueErrorOutput' && outputs.length > 1) {
+    return outputs[outputs.length - 1] || [];
+  }
+
+  return outputs.flat().filter(item => item?.json?.error != null || item?.error != null);
+}
+
+/**
+ * Build the LangWatch `error` field for the error items of a node that
+ * continued on failure
+ * @param {Array<Object>} errorItems - Error items from getErrorItems
+ * @param {number} itemCount - Total number of items the node produced
+ * @returns {Object|null} Error as { has_error, message, stacktrace }, or null without error items
+ */
+function toItemsSpanError(errorItems, itemCount) {
+  if (errorItems.length === 0) return null;
+
+  const firstError = errorItems[0].error || errorItems[0].json?.error;
+  logger.debug(`Node continued on failure with ${errorItems.length} error items`);
+
+  return {
+    ...toSpanError(firstError),
+    message: `${errorItems.length} of ${itemCount} items failed: ${getErrorMessage(firstError)}`
+  };
+}
+
+module.exports = {
+  getErrorMessage,
+  toSpanError,
+  getErrorAttributes,
+  getErrorItems,
+  toItemsSpanError
+};
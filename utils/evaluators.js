@@ -0,0 +1,324 @@
+// utils/evaluators.js - Local evaluators and guardrail checks for LLM spans
+const { logger } = require('../logger');
+const { getTimestamp, globToRegExp } = require('./helpers');
+const { validateSchema } = require('./json-schema');
+
+/**
+ * Stopwords used to tell Latin-script languages apart
+ */
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'to', 'of', 'it', 'that', 'what', 'with', 'for', 'this', 'have'],
+  es: ['el', 'la', 'los', 'las', 'es', 'y', 'que', 'de', 'en', 'por', 'para', 'con', 'una', 'qué'],
+  fr: ['le', 'la', 'les', 'est', 'et', 'que', 'de', 'des', 'vous', 'pour', 'avec', 'une', 'dans', 'pas'],
+  de: ['der', 'die', 'das', 'ist', 'und', 'nicht', 'sie', 'ich', 'mit', 'für', 'ein', 'eine', 'zu', 'wie'],
+  pt: ['o', 'a', 'os', 'as', 'é', 'e', 'que', 'de', 'em', 'para', 'com', 'uma', 'não', 'você'],
+  it: ['il', 'lo', 'la', 'gli', 'è', 'e', 'che', 'di', 'per', 'con', 'una', 'non', 'sono', 'come'],
+  nl: ['de', 'het', 'een', 'is', 'en', 'niet', 'van', 'ik', 'je', 'met', 'voor', 'dat', 'zijn', 'wat']
+};
+
+/**
+ * Unicode scripts that identify a language (or language group) on their own
+ */
+const SCRIPTS = [
+  { language: 'zh', pattern: /[一-鿿]/g },
+  { language: 'ja', pattern: /[぀-ヿ]/g },
+  { language: 'ko', pattern: /[가-힯]/g },
+  { language: 'ru', pattern: /[Ѐ-ӿ]/g },
+  { language: 'ar', pattern: /[؀-ۿ]/g },
+  { language: 'he', pattern: /[֐-׿]/g },
+  { language: 'el', pattern: /[Ͱ-Ͽ]/g },
+  { language: 'hi', pattern: /[ऀ-ॿ]/g },
+  { language: 'th', pattern: /[฀-๿]/g }
+];
+
+/**
+ * Built-in checks. Each returns { passed, score?, details } or null when it
+ * doesn't apply to the span.
+ */
+const CHECKS = {
+  json_schema: (config, { output }) => {
+    const value = parseJson(output);
+    if (value === undefined) {
+      return { passed: false, details: 'Output is not valid JSON' };
+    }
+
+    const errors = validateSchema(value, config.schema || {}, '$');
+    return {
+      passed: errors.length === 0,
+      details: errors.length === 0 ? 'Output matches the schema' : errors.slice(0, 5).join('; ')
+    };
+  },
+
+  length: (config, { output }) => {
+    const length = toText(output).length;
+    const min = config.min ?? 0;
+    const max = config.max ?? Infinity;
+
+    return {
+      passed: length >= min && length <= max,
+      score: length,
+      details: `Output has ${length} characters (allowed: ${min}-${max === Infinity ? 'unbounded' : max})`
+    };
+  },
+
+  banned_phrases: (config, { output }) => {
+    const text = toText(output).toLowerCase();
+    const found = (config.phrases || []).filter(phrase => text.includes(String(phrase).toLowerCase()));
+
+    return {
+      passed: found.length === 0,
+      score: found.length,
+      details: found.length === 0 ? 'No banned phrases found' : `Found banned phrases: ${found.join(', ')}`
+    };
+  },
+
+  language_match: (config, { input, output }) => {
+    const inputLanguage = detectLanguage(toText(input));
+    const outputLanguage = detectLanguage(toText(output));
+    if (!inputLanguage || !outputLanguage) return null;
+
+    return {
+      passed: inputLanguage === outputLanguage,
+      label: outputLanguage,
+      details: `Input language: ${inputLanguage}, output language: ${outputLanguage}`
+    };
+  }
+};
+
+/**
+ * Settings every evaluator accepts
+ */
+const COMMON_PROPERTIES = {
+  type: { enum: Object.keys(CHECKS) },
+  name: { type: 'string', minLength: 1 },
+  nodes: { type: 'string', minLength: 1 },
+  guardrail: { type: 'boolean' }
+};
+
+/**
+ * Settings of each evaluator type, on top of the common ones
+ */
+const EVALUATOR_SCHEMAS = {
+  json_schema: {
+    required: ['schema'],
+    properties: { schema: { type: 'object' } }
+  },
+  length: {
+    properties: {
+      min: { type: 'integer', minimum: 0 },
+      max: { type: 'integer', minimum: 0 }
+    }
+  },
+  banned_phrases: {
+    required: ['phrases'],
+    properties: { phrases: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } } }
+  },
+  language_match: {
+    properties: {}
+  }
+};
+
+/**
+ * Validate an evaluator definition against the schema of its type
+ * @param {*} evaluator - Evaluator definition
+ * @param {string} path - Path of the evaluator, for error messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateEvaluator(evaluator, path) {
+  const typeErrors = validateSchema(evaluator, { type: 'object', required: ['type'], properties: { type: COMMON_PROPERTIES.type } }, path);
+  if (typeErrors.length > 0) return typeErrors;
+
+  const settings = EVALUATOR_SCHEMAS[evaluator.type];
+  const errors = validateSchema(evaluator, {
+    type: 'object',
+    additionalProperties: false,
+    required: settings.required || [],
+    properties: { ...COMMON_PROPERTIES, ...settings.properties }
+  }, path);
+
+  if (errors.length === 0 && evaluator.type === 'length') {
+    if (evaluator.min === undefined && evaluator.max === undefined) {
+      errors.push(`${path} should set min or max`);
+    } else if (evaluator.min > evaluator.max) {
+      errors.push(`${path}.min should be <= max`);
+    }
+  }
+
+  return errors;
+}
+
+class LocalEvaluators {
+  /**
+   * @param {Object} options - Evaluator options
+   * @param {Array<Object>} [options.evaluators] - Checks as { type, name, nodes, guardrail, ...settings },
+   *   where type is one of json_schema, length, banned_phrases or language_match
+   */
+  constructor(options = {}) {
+    const evaluators = options.evaluators || parseEvaluators(process.env.LANGWATCH_EVALUATORS);
+
+    this.evaluators = evaluators
+      .filter((evaluator, index) => {
+        const errors = validateEvaluator(evaluator, `evaluators[${index}]`);
+        if (errors.length === 0) return true;
+        logger.error(`Invalid evaluator, skipping: ${errors.join('; ')}`);
+        return false;
+      })
+      .map(evaluator => ({
+        ...evaluator,
+        name: evaluator.name || evaluator.type,
+        nodeRegExp: evaluator.nodes ? globToRegExp(evaluator.nodes) : null
+      }));
+
+    if (this.evaluators.length > 0) {
+      logger.debug(`Running ${this.evaluators.length} local evaluators on LLM spans`);
+    }
+  }
+
+  /**
+   * Run the evaluators on the LLM spans of AI nodes and their items. Model
+   * sub-node spans are skipped: their output is the raw model response, and
+   * the node that called the model already reports its text.
+   * @param {Array<Object>} spans - Spans of the trace
+   * @returns {Array<Object>} LangWatch evaluations
+   */
+  evaluateTrace(spans) {
+    if (this.evaluators.length === 0) return [];
+
+    return spans
+      .filter(span => span.type === 'llm' && !span.error && !span.params?.connection_type)
+      .flatMap(span => this.evaluateSpan(span));
+  }
+
+  /**
+   * Run the evaluators that apply to an LLM span
+   * @param {Object} span - LLM span
+   * @returns {Array<Object>} LangWatch evaluations
+   */
+  evaluateSpan(span) {
+    const context = { input: getLastUserInput(span.input), output: span.output?.value };
+    const evaluations = [];
+
+    this.evaluators.forEach((evaluator, index) => {
+      if (evaluator.nodeRegExp && !evaluator.nodeRegExp.test(span.name || '')) return;
+
+      const startedAt = getTimestamp();
+      const evaluation = {
+        evaluation_id: `${span.span_id}-eval-${index}`,
+        span_id: span.span_id,
+        name: evaluator.name,
+        type: evaluator.type,
+        is_guardrail: Boolean(evaluator.guardrail)
+      };
+
+      try {
+        const result = CHECKS[evaluator.type](evaluator, context);
+        Object.assign(evaluation, result ? { status: 'processed', ...result } : { status: 'skipped' });
+      } catch (error) {
+        logger.error(`Evaluator ${evaluator.name} failed on span ${span.span_id}: ${error.message}`);
+        Object.assign(evaluation, { status: 'error', error: { has_error: true, message: error.message, stacktrace: [] } });
+      }
+
+      evaluation.timestamps = { started_at: startedAt, finished_at: getTimestamp() };
+      evaluations.push(evaluation);
+    });
+
+    return evaluations;
+  }
+}
+
+/**
+ * Get the text a check compares the output against: the last user message
+ * of chat input, or the text input
+ * @param {Object} input - Span input
+ * @returns {*} Input value
+ */
+function getLastUserInput(input) {
+  if (input?.type !== 'chat_messages') return input?.value;
+
+  const userMessages = (input.value || []).filter(message => message.role === 'user');
+  return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+}
+
+/**
+ * Convert a span value to text
+ * @param {*} value - Span input or output value
+ * @returns {string} Text
+ */
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Parse LLM output as JSON, allowing for a surrounding Markdown code fence
+ * @param {*} value - Output value
+ * @returns {*} Parsed value, or undefined if the output isn't JSON
+ */
+function parseJson(value) {
+  if (typeof value !== 'string') return value ?? undefined;
+
+  const text = value.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Detect the language of a text from its script or, for Latin script, from
+ * common stopwords
+ * @param {string} text - Text to detect
+ * @returns {string|null} ISO 639-1 language code, or null if undetermined
+ */
+function detectLanguage(text) {
+  if (!text || text.trim().length < 3) return null;
+
+  // Kana outnumbers Han characters in Japanese, so check it before Chinese
+  const scriptCounts = SCRIPTS
+    .map(({ language, pattern }) => ({ language, count: (text.match(pattern) || []).length }))
+    .filter(({ count }) => count > 0);
+  if (scriptCounts.some(({ language }) => language === 'ja')) return 'ja';
+  if (scriptCounts.length > 0) {
+    return scriptCounts.sort((a, b) => b.count - a.count)[0].language;
+  }
+
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  let best = null;
+  let bestCount = 0;
+
+  for (const [language, stopwords] of Object.entries(STOPWORDS)) {
+    const count = words.filter(word => stopwords.includes(word)).length;
+    if (count > bestCount) {
+      best = language;
+      bestCount = count;
+    }
+  }
+
+  // A single stopword is too little evidence
+  return bestCount >= 2 ? best : null;
+}
+
+/**
+ * Parse the evaluators JSON environment variable
+ * @param {string} value - Raw value
+ * @returns {Array<Object>} Evaluators
+ */
+function parseEvaluators(value) {
+  if (!value) return [];
+
+  try {
+    const evaluators = JSON.parse(value);
+    if (!Array.isArray(evaluators)) throw new Error('expected a JSON array');
+    return evaluators;
+  } catch (error) {
+    logger.error(`Invalid LANGWATCH_EVALUATORS: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = {
+  LocalEvaluators,
+  validateEvaluator,
+  detectLanguage
+};
@@ -0,0 +1,161 @@
+// utils/expressions.js - Captures node parameters as n8n's expression engine resolved them
+const { logger } = require('../logger');
+
+// Recordings in progress per expression engine. Every workflow instance has
+// its own engine, which is wrapped once on first use.
+const recordingsByEngine = new WeakMap();
+
+/**
+ * Check whether a parameter value is an n8n expression
+ * @param {*} value - Parameter value
+ * @returns {boolean} True for expression strings, which start with `=`
+ */
+function isExpression(value) {
+  return typeof value === 'string' && value.startsWith('=');
+}
+
+/**
+ * Check whether a parameter value is or holds an n8n expression
+ * @param {*} value - Parameter value, possibly a collection of parameters
+ * @returns {boolean} True if an expression is found
+ */
+function containsExpression(value) {
+  if (isExpression(value)) return true;
+  if (!value || typeof value !== 'object') return false;
+  return Object.values(value).some(containsExpression);
+}
+
+/**
+ * Find what a parameter value resolved to within a parameter n8n resolved.
+ * n8n resolves whole parameters, such as a list of messages, so the value
+ * can sit anywhere inside the parameter.
+ * @param {*} raw - Parameter as written in the node
+ * @param {*} resolved - Parameter as n8n resolved it
+ * @param {*} value - Parameter value to look for
+ * @returns {{ found: boolean, value: * }} Resolved value, if found
+ */
+function findResolvedValue(raw, resolved, value) {
+  if (raw === value) return { found: true, value: resolved };
+  if (!raw || typeof raw !== 'object' || !resolved || typeof resolved !== 'object') {
+    return { found: false, value: undefined };
+  }
+
+  for (const key of Object.keys(raw)) {
+    const match = findResolvedValue(raw[key], resolved[key], value);
+    if (match.found) return match;
+  }
+  return { found: false, value: undefined };
+}
+
+/**
+ * Route the parameters an expression engine resolves to the recordings in
+ * progress on it
+ * @param {Object} engine - Expression engine of a workflow instance
+ * @returns {Set<Object>} Recordings in progress on the engine
+ */
+function getEngineRecordings(engine) {
+  let recordings = recordingsByEngine.get(engine);
+  if (recordings) return recordings;
+
+  recordings = new Set();
+  recordingsByEngine.set(engine, recordings);
+
+  const originalGetParameterValue = engine.getParameterValue;
+  engine.getParameterValue = function (parameterValue, runExecutionData, runIndex, itemIndex, activeNodeName) {
+    const resolved = originalGetParameterValue.apply(this, arguments);
+
+    if (recordings.size > 0 && containsExpression(parameterValue)) {
+      for (const recording of recordings) {
+        if (recording.nodeName === activeNodeName) {
+          recording.parameters.push({ itemIndex, raw: parameterValue, resolved });
+        }
+      }
+    }
+
+    return resolved;
+  };
+
+  return recordings;
+}
+
+/**
+ * Record the parameters n8n resolves while it runs a node, so prompts and
+ * queries are captured exactly as the node used them, including
+ * time-dependent expressions like `$now`. Expressions are never evaluated
+ * again after the run.
+ * @param {Object} workflow - Workflow instance
+ * @param {Object} node - Node definition
+ * @returns {Object} Recording, with stop() to call once the node has run and
+ * resolve(value, itemIndex) to look up what a parameter value resolved to
+ */
+function recordResolvedParameters(workflow, node) {
+  const engine = workflow?.expression;
+  const recording = { nodeName: node.name, parameters: [] };
+  let recordings = null;
+
+  if (typeof engine?.getParameterValue === 'function') {
+    recordings = getEngineRecordings(engine);
+    recordings.add(recording);
+  } else {
+    logger.debug(`n8n expression engine not available, expressions of ${node.name} stay unresolved`);
+  }
+
+  return {
+    stop() {
+      recordings?.delete(recording);
+    },
+
+    /**
+     * Get what a parameter value resolved to for an input item
+     * @param {*} value - Parameter value
+     * @param {number} [itemIndex] - Input item index
+     * @returns {*} Resolved value, or undefined for expressions n8n didn't resolve for the item
+     */
+    resolve(value, itemIndex = 0) {
+      if (!containsExpression(value)) return value;
+
+      // The latest resolution wins, e.g. after the node retried
+      for (let i = recording.parameters.length - 1; i >= 0; i--) {
+        const parameter = recording.parameters[i];
+        if (parameter.itemIndex !== itemIndex) continue;
+
+        const match = findResolvedValue(parameter.raw, parameter.resolved, value);
+        if (match.found) return match.value;
+      }
+
+      logger.debug(`${node.name} didn't resolve an expression for item ${itemIndex}, leaving it out`);
+      return undefined;
+    }
+  };
+}
+
+/**
+ * Resolve a node parameter for an extractor, with the resolver of the
+ * extraction context. Expressions are only ever taken as n8n resolved them,
+ * never as the raw template.
+ * @param {Object} context - Extraction context
+ * @param {*} value - Parameter value
+ * @returns {*} Resolved value, or undefined for an expression that wasn't resolved
+ */
+function resolveNodeParameter(context, value) {
+  if (typeof context?.resolveParameter === 'function') {
+    return context.resolveParameter(value);
+  }
+  return containsExpression(value) ? undefined : value;
+}
+
+/**
+ * Get a parameter value as the raw template the user wrote
+ * @param {*} value - Parameter value
+ * @returns {*} Template without the expression marker
+ */
+function toTemplate(value) {
+  return isExpression(value) ? value.slice(1) : value;
+}
+
+module.exports = {
+  isExpression,
+  recordResolvedParameters,
+  resolveNodeParameter,
+  toTemplate
+};
@@ -1,4 +1,5 @@
 // utils/helpers.js - Utility functions for n8n LangWatch integration
+const os = require('os');
 const { logger } = require('../logger');
 
 /**
@@ -9,6 +10,88 @@ function getTimestamp() {
   return Date.now();
 }
 
+/**
+ * Resolve the key used to track a workflow execution
+ * @param {Object} workflow - Workflow definition
+ * @param {Object} additionalData - n8n additional execution data
+ * @returns {string} n8n execution ID, or the workflow ID if n8n did not assign one
+ */
+function getExecutionKey(workflow, additionalData) {
+  return additionalData?.executionId ?? workflow?.id ?? "unknown";
+}
+
+/**
+ * Describe the n8n process this instrumentation runs in. In queue mode,
+ * executions run on `n8n worker` processes rather than the main instance.
+ * @returns {Object} Process as { host, type } with type main, worker or webhook
+ */
+function getInstanceInfo() {
+  const command = process.argv.slice(2).find(arg => !arg.startsWith('-'));
+  const type = command === 'worker' || command === 'webhook' ? command : 'main';
+
+  return { host: os.hostname(), type };
+}
+
+/**
+ * Create the trace ID of a workflow execution. n8n execution IDs are unique
+ * per instance, so every process handling an execution (main, workers)
+ * derives the same trace ID from it.
+ * @param {string} workflowId - Workflow ID
+ * @param {string} executionId - Execution key from getExecutionKey
+ * @returns {string} Trace ID
+ */
+function createTraceId(workflowId, executionId) {
+  // Without an n8n execution ID the execution is keyed by its workflow ID,
+  // which isn't unique per run
+  if (executionId === undefined || executionId === null || String(executionId) === String(workflowId)) {
+    return `wf-${workflowId}-${Date.now()}`;
+  }
+  return `wf-${workflowId}-${executionId}`;
+}
+
+/**
+ * Convert a glob pattern (`*` and `?` wildcards) to a regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Case-insensitive regular expression matching the whole string
+ */
+function globToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Parse a JSON path such as `$.input.value.headers['x-api-key']` or
+ * `output.value[*].email` into its segments
+ * @param {string} jsonPath - JSON path, with or without the leading `$`
+ * @returns {Array<string>} Path segments, with "*" as wildcard
+ */
+function parseJsonPath(jsonPath) {
+  const segments = [];
+  const tokenPattern = /\[(\d+|\*|'[^']*'|"[^"]*")\]|[^.[\]]+/g;
+  let match;
+
+  while ((match = tokenPattern.exec(jsonPath.replace(/^\$\.?/, ''))) !== null) {
+    const token = match[1] !== undefined ? match[1] : match[0];
+    segments.push(token.replace(/^['"]|['"]$/g, ''));
+  }
+
+  return segments;
+}
+
+/**
+ * Get the value at a JSON path, without wildcards
+ * @param {Object} target - Object to read from
+ * @param {string} jsonPath - JSON path such as `body.user.id` or `$.headers['x-user']`
+ * @returns {*} Value at the path, or undefined if it doesn't exist
+ */
+function getValueAtPath(target, jsonPath) {
+  return parseJsonPath(jsonPath).reduce((value, segment) =>
+    (value !== null && typeof value === 'object' ? value[segment] : undefined), target);
+}
+
 /**
  * Estimate token count based on string length
  * @param {string} text - Text to estimate token count for
@@ -21,7 +104,50 @@ function estimateTokenCount(text) {
 }
 
 /**
- * Resolve n8n template expressions if possible
+ * Get the json of a node's input item
+ * @param {Object} executionData - Node execution data
+ * @param {number} itemIndex - Index of the input item
+ * @returns {Object} Input item json, or an empty object
+ */
+function getInputItemJson(executionData, itemIndex = 0) {
+  return executionData?.data?.main?.[0]?.[itemIndex]?.json || {};
+}
+
+/**
+ * Get the index of the input item an output item was produced from, using
+ * n8n's paired item information
+ * @param {Object} outputItem - Node output item
+ * @param {number} fallbackIndex - Index to use when the item isn't paired
+ * @returns {number} Input item index
+ */
+function getPairedItemIndex(outputItem, fallbackIndex) {
+  const pairedItem = Array.isArray(outputItem?.pairedItem) ? outputItem.pairedItem[0] : outputItem?.pairedItem;
+  if (typeof pairedItem === 'number') return pairedItem;
+  return typeof pairedItem?.item === 'number' ? pairedItem.item : fallbackIndex;
+}
+
+/**
+ * Normalize token usage reported in OpenAI (prompt_tokens), LangChain
+ * (promptTokens) or Anthropic (input_tokens) style
+ * @param {Object} usage - Token usage as reported by the node
+ * @returns {Object|null} Usage as { prompt_tokens, completion_tokens, total_tokens }
+ */
+function normalizeTokenUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  
+  const promptTokens = usage.prompt_tokens ?? usage.promptTokens ?? usage.input_tokens ?? usage.inputTokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.completionTokens ?? usage.output_tokens ?? usage.outputTokens ?? 0;
+  
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens ?? usage.totalTokens ?? promptTokens + completionTokens
+  };
+}
+
+/**
+ * Resolve simple n8n template expressions ($json fields and a few date
+ * formats). Fallback for when n8n's own expression engine is not available.
  * @param {string|any} expr - Expression to resolve
  * @param {Object} data - Data context for resolution
  * @returns {string|any} Resolved expression or original value
@@ -70,24 +196,25 @@ function resolveExpression(expr, data) {
 /**
  * Extract system message from node parameters
  * @param {Object} parameters - Node parameters
+ * @param {Function} [resolve] - Resolves expression parameters
  * @returns {string} Extracted system message
  */
-function extractSystemMessage(parameters) {
+function extractSystemMessage(parameters, resolve = (value) => resolveExpression(value, {})) {
   if (!parameters) return '';
   
   // Check options for systemMessage
   if (parameters.options && parameters.options.systemMessage) {
-    return resolveExpression(parameters.options.systemMessage, {});
+    return resolve(parameters.options.systemMessage);
   }
   
   // Check direct systemMessage parameter
   if (parameters.systemMessage) {
-    return resolveExpression(parameters.systemMessage, {});
+    return resolve(parameters.systemMessage);
   }
   
   // Check system parameter
   if (parameters.system) {
-    return resolveExpression(parameters.system, {});
+    return resolve(parameters.system);
   }
   
   return '';
@@ -99,9 +226,10 @@ function extractSystemMessage(parameters) {
  * @param {Object} executionData - Node execution data
  * @param {Object} runExecutionData - Run execution data
  * @param {number} runIndex - Run index
+ * @param {Function} [resolve] - Resolves expression parameters
  * @returns {string} Extracted user input
  */
-function extractUserInput(node, executionData, runExecutionData, runIndex) {
+function extractUserInput(node, executionData, runExecutionData, runIndex, resolve) {
   try {
     // Track all places we check for user input
     const sources = [];
@@ -261,6 +389,9 @@ function extractUserInput(node, executionData, runExecutionData, runIndex) {
       }
       
       // Return the value, resolving any expressions
+      if (resolve) {
+        return resolve(bestSource.value) ?? "";
+      }
       return resolveExpression(bestSource.value, sources.find(s => typeof s.value === 'object')?.value || {});
     }
     
@@ -337,7 +468,16 @@ function extractLLMOutput(outputData) {
 
 module.exports = {
   getTimestamp,
+  getExecutionKey,
+  createTraceId,
+  getInstanceInfo,
+  globToRegExp,
+  parseJsonPath,
+  getValueAtPath,
+  getInputItemJson,
+  getPairedItemIndex,
   estimateTokenCount,
+  normalizeTokenUsage,
   resolveExpression,
   extractSystemMessage,
   extractUserInput,
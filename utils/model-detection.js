@@ -55,6 +55,84 @@ function isAINode(node) {
   return false;
 }
 
+/**
+ * LangChain nodes that call a model: agents, chains and vendor nodes. Model
+ * sub-nodes (lmChat*, lm*) are matched by their type prefix.
+ */
+const LANGCHAIN_LLM_NODES = new Set([
+  'agent',
+  'agentTool',
+  'openAiAssistant',
+  'chainLlm',
+  'chainRetrievalQa',
+  'chainSummarization',
+  'informationExtractor',
+  'textClassifier',
+  'sentimentAnalysis',
+  'openAi',
+  'anthropic',
+  'googleGemini',
+  'ollama'
+]);
+
+/**
+ * AI vendor nodes outside the LangChain package
+ */
+const VENDOR_LLM_NODE_TYPES = new Set([
+  'n8n-nodes-base.openAi',
+  'n8n-nodes-base.mistralAi',
+  'n8n-nodes-base.perplexity'
+]);
+
+/**
+ * Detect if a node calls a language model, by its type only. Unlike
+ * isAINode, names and parameters don't count, so nodes such as Wait,
+ * Airtable or a Chat Trigger are never matched.
+ * @param {Object} node - Node definition
+ * @returns {boolean} True if the node is an LLM root or model node
+ */
+function isLLMNode(node) {
+  const nodeType = node?.type || '';
+  if (VENDOR_LLM_NODE_TYPES.has(nodeType)) return true;
+
+  const prefix = '@n8n/n8n-nodes-langchain.';
+  if (!nodeType.startsWith(prefix)) return false;
+
+  const name = nodeType.slice(prefix.length);
+  return LANGCHAIN_LLM_NODES.has(name) || /^lm[A-Z]/.test(name);
+}
+
+/**
+ * Detect if a node is a vector store or retriever node that retrieves
+ * documents. Vector stores in insert or update mode only write documents.
+ * @param {Object} node - Node definition
+ * @returns {boolean} True if node is a retrieval node
+ */
+function isRAGNode(node) {
+  if (!node) return false;
+  
+  const nodeType = node.type?.toLowerCase() || '';
+  if (!nodeType.includes('vectorstore') && !nodeType.includes('retriever')) {
+    return false;
+  }
+  
+  const mode = node.parameters?.mode;
+  return mode !== 'insert' && mode !== 'update';
+}
+
+/**
+ * Get the model name from a model parameter, which newer n8n nodes store as
+ * a resource locator ({ __rl: true, value, mode }) instead of a string
+ * @param {string|Object} modelParam - Model parameter
+ * @returns {string|undefined} Model name
+ */
+function getModelName(modelParam) {
+  if (modelParam && typeof modelParam === 'object') {
+    return typeof modelParam.value === 'string' ? modelParam.value : undefined;
+  }
+  return modelParam;
+}
+
 /**
  * Detect model information from node
  * @param {Object} node - Node definition
@@ -92,7 +170,7 @@ function detectModelInfo(node) {
   
   // Check for direct model parameter
   if (node.parameters && node.parameters.model && modelInfo.model === 'unknown') {
-    const modelParam = node.parameters.model;
+    const modelParam = getModelName(node.parameters.model);
     
     if (typeof modelParam === 'string') {
       modelInfo.model = modelParam;
@@ -130,8 +208,8 @@ function detectModelInfo(node) {
   if (node.type && node.type.includes('openai')) {
     modelInfo.vendor = 'openai';
     // Try to extract model from parameters
-    if (node.parameters && node.parameters.model) {
-      modelInfo.model = node.parameters.model;
+    if (node.parameters && getModelName(node.parameters.model)) {
+      modelInfo.model = getModelName(node.parameters.model);
     } else {
       modelInfo.model = 'gpt-4';  // Likely default
     }
@@ -199,6 +277,8 @@ function extractModelParameters(node) {
 
 module.exports = {
   isAINode,
+  isLLMNode,
+  isRAGNode,
   detectModelInfo,
   extractModelParameters
 };
\ No newline at end of file
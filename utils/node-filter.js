@@ -0,0 +1,103 @@
+// utils/node-filter.js - Decides which nodes get their own span
+const { logger } = require('../logger');
+const { globToRegExp } = require('./helpers');
+
+class NodeFilter {
+  /**
+   * @param {Object} options - Node filter options
+   * @param {boolean} [options.aiOnly] - Only trace AI and retrieval nodes, plus included nodes
+   * @param {Array<Object>} [options.include] - Rules as { nodeType, nodeName, workflowId, workflowName };
+   *   when set, only matching nodes are traced, besides AI nodes in AI-only mode
+   * @param {Array<Object>} [options.exclude] - Rules of nodes that are never traced, taking precedence over include
+   */
+  constructor(options = {}) {
+    this.aiOnly = options.aiOnly ?? process.env.LANGWATCH_NODES_AI_ONLY === 'true';
+    this.include = (options.include || parseRules(process.env.LANGWATCH_NODES_INCLUDE, 'LANGWATCH_NODES_INCLUDE')).map(compileRule);
+    this.exclude = (options.exclude || parseRules(process.env.LANGWATCH_NODES_EXCLUDE, 'LANGWATCH_NODES_EXCLUDE')).map(compileRule);
+
+    if (this.aiOnly || this.include.length > 0 || this.exclude.length > 0) {
+      logger.debug(`Filtering node spans${this.aiOnly ? ' to AI nodes' : ''} with ${this.include.length} include and ${this.exclude.length} exclude rules`);
+    }
+  }
+
+  /**
+   * Check whether a node run should get a span
+   * @param {Object} node - Node definition
+   * @param {Object} workflow - Workflow definition
+   * @param {Object} [options] - Node details
+   * @param {boolean} [options.aiNode] - Whether the node is a model-calling or retrieval node, by its type
+   * @returns {boolean} True if the node should be traced
+   */
+  shouldTrace(node, workflow, options = {}) {
+    if (this.exclude.some(rule => matchesRule(rule, node, workflow))) return false;
+    if (this.include.some(rule => matchesRule(rule, node, workflow))) return true;
+    if (this.aiOnly) return Boolean(options.aiNode);
+
+    return this.include.length === 0;
+  }
+}
+
+/**
+ * Compile the globs of a node rule
+ * @param {Object} rule - Node rule
+ * @returns {Object} Compiled rule
+ */
+function compileRule(rule) {
+  return {
+    ...rule,
+    nodeTypeRegExp: rule.nodeType ? globToRegExp(rule.nodeType) : null,
+    nodeNameRegExp: rule.nodeName ? globToRegExp(rule.nodeName) : null,
+    workflowNameRegExp: rule.workflowName ? globToRegExp(rule.workflowName) : null
+  };
+}
+
+/**
+ * Check whether a node rule applies to a node. All criteria set on the rule
+ * must match, and a rule without criteria matches nothing.
+ * @param {Object} rule - Compiled node rule
+ * @param {Object} node - Node definition
+ * @param {Object} workflow - Workflow definition
+ * @returns {boolean} True if the rule matches
+ */
+function matchesRule(rule, node, workflow) {
+  if (!rule.nodeTypeRegExp && !rule.nodeNameRegExp && rule.workflowId === undefined && !rule.workflowNameRegExp) {
+    return false;
+  }
+
+  if (rule.nodeTypeRegExp && !rule.nodeTypeRegExp.test(node?.type || '')) {
+    return false;
+  }
+
+  if (rule.nodeNameRegExp && !rule.nodeNameRegExp.test(node?.name || '')) {
+    return false;
+  }
+
+  if (rule.workflowId !== undefined && String(rule.workflowId) !== String(workflow?.id)) {
+    return false;
+  }
+
+  if (rule.workflowNameRegExp && !rule.workflowNameRegExp.test(workflow?.name || '')) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Parse node rules from an environment variable
+ * @param {string} value - Raw JSON value
+ * @param {string} name - Name of the environment variable, for error messages
+ * @returns {Array<Object>} Node rules
+ */
+function parseRules(value, name) {
+  if (!value) return [];
+  try {
+    const rules = JSON.parse(value);
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    logger.error(`Invalid JSON in ${name}: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = { NodeFilter };
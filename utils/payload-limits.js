@@ -0,0 +1,204 @@
+// utils/payload-limits.js - Size limits for span inputs and outputs
+const { logger } = require('../logger');
+
+// Span fields holding node data, which can grow without bound
+const LIMITED_FIELDS = ['input', 'output', 'contexts'];
+
+// Span params copied from node data, such as the raw prompt of an AI node
+const LIMITED_PARAMS = ['prompt_template'];
+
+// Chat messages and RAG contexts are lists of typed entries, so entries
+// cut from them are counted in the span params instead of being replaced
+// by a marker, and they are never turned into a JSON preview
+const isTypedField = (field, fieldValue) => field === 'contexts' || fieldValue?.type === 'chat_messages';
+
+// Smallest per-field budget when shrinking fields to fit the trace budget
+const MIN_FIELD_BYTES = 1024;
+
+class PayloadLimiter {
+  /**
+   * @param {Object} options - Limit options
+   * @param {number} [options.maxFieldBytes] - Serialized size cap of a span's input, output and contexts
+   * @param {number} [options.maxTraceBytes] - Serialized size cap of a whole trace
+   * @param {number} [options.maxItems] - Array entries kept in a field, such as node output items
+   * @param {number} [options.maxStringLength] - Characters kept of a single string
+   */
+  constructor(options = {}) {
+    this.maxFieldBytes = options.maxFieldBytes || Number(process.env.LANGWATCH_MAX_FIELD_BYTES) || 65536; // 64 KB
+    this.maxTraceBytes = options.maxTraceBytes || Number(process.env.LANGWATCH_MAX_TRACE_BYTES) || 1048576; // 1 MB
+    this.maxItems = options.maxItems || Number(process.env.LANGWATCH_MAX_ITEMS) || 50;
+    this.maxStringLength = options.maxStringLength || Number(process.env.LANGWATCH_MAX_STRING_LENGTH) || 10000;
+  }
+
+  /**
+   * Fit the spans of a trace into the field and trace budgets. While the
+   * trace is too large, the per-field budget is halved, so the largest
+   * fields shrink first.
+   * @param {Object} traceData - Trace data in LangWatch format
+   * @returns {Object} Trace data within the limits where possible
+   */
+  limitTrace(traceData) {
+    const spans = traceData.spans || [];
+    let fieldBytes = this.maxFieldBytes;
+    let limited = { ...traceData, spans: spans.map(span => this.limitSpan(span, fieldBytes)) };
+    let size = byteLength(limited);
+
+    while (size > this.maxTraceBytes && fieldBytes > MIN_FIELD_BYTES) {
+      fieldBytes = Math.max(MIN_FIELD_BYTES, Math.floor(fieldBytes / 2));
+      limited = { ...traceData, spans: spans.map(span => this.limitSpan(span, fieldBytes)) };
+      size = byteLength(limited);
+    }
+
+    if (size > this.maxTraceBytes) {
+      logger.warn(`Trace ${traceData.trace_id} is ${size} bytes after truncation, above the ${this.maxTraceBytes} byte limit`);
+    }
+
+    return limited;
+  }
+
+  /**
+   * Fit the input, output, contexts and prompt template of a span into a
+   * byte budget. The original size of every truncated field, and the entries
+   * cut from chat messages and contexts, are recorded in the span params.
+   * @param {Object} span - Span
+   * @param {number} [fieldBytes] - Byte budget per field
+   * @returns {Object} Span within the budget, or the span itself if it fits
+   */
+  limitSpan(span, fieldBytes = this.maxFieldBytes) {
+    let limited = span;
+
+    for (const field of LIMITED_FIELDS) {
+      if (span[field] === undefined || span[field] === null) continue;
+
+      // Inputs and outputs are { type, value }; contexts are a plain list
+      const wrapped = field !== 'contexts' && typeof span[field] === 'object' && 'value' in span[field];
+      const value = wrapped ? span[field].value : span[field];
+      const originalBytes = byteLength(value);
+      if (originalBytes <= fieldBytes && !exceedsShape(value, this.maxItems, this.maxStringLength)) continue;
+
+      const typed = isTypedField(field, span[field]);
+      const truncated = this.limitValue(value, fieldBytes, typed);
+      const fieldValue = wrapped
+        ? { ...span[field], ...(typeof truncated === 'string' && span[field].type !== 'text' ? { type: 'text' } : {}), value: truncated }
+        : truncated;
+
+      const params = { ...limited.params, truncated: true, [`${field}_original_bytes`]: originalBytes };
+      if (typed && Array.isArray(value) && truncated.length < value.length) {
+        params[`${field}_truncated_items`] = value.length - truncated.length;
+      }
+
+      limited = { ...limited, [field]: fieldValue, params };
+    }
+
+    for (const param of LIMITED_PARAMS) {
+      const value = span.params?.[param];
+      if (value === undefined || value === null) continue;
+
+      const originalBytes = byteLength(value);
+      if (originalBytes <= fieldBytes && !exceedsShape(value, this.maxItems, this.maxStringLength)) continue;
+
+      // Chat prompt templates are chat messages
+      const truncated = this.limitValue(value, fieldBytes, Array.isArray(value));
+      limited = {
+        ...limited,
+        params: { ...limited.params, [param]: truncated, truncated: true, [`${param}_original_bytes`]: originalBytes }
+      };
+    }
+
+    return limited;
+  }
+
+  /**
+   * Truncate a value to fit a byte budget: cap arrays and long strings
+   * first, tightening the caps while the value is too large, and fall back
+   * to a truncated JSON preview. Typed lists keep their shape and are
+   * returned at the tightest caps instead.
+   * @param {*} value - Value to truncate
+   * @param {number} fieldBytes - Byte budget
+   * @param {boolean} [typed] - Whether the value is a list of typed entries
+   * @returns {*} Truncated value
+   */
+  limitValue(value, fieldBytes, typed = false) {
+    let maxItems = this.maxItems;
+    let maxStringLength = this.maxStringLength;
+    let truncated = truncateValue(value, maxItems, maxStringLength, typed);
+
+    while (byteLength(truncated) > fieldBytes && (maxItems > 1 || maxStringLength > 100)) {
+      maxItems = Math.max(1, Math.floor(maxItems / 2));
+      maxStringLength = Math.max(100, Math.floor(maxStringLength / 2));
+      truncated = truncateValue(value, maxItems, maxStringLength, typed);
+    }
+
+    if (byteLength(truncated) <= fieldBytes || typed) return truncated;
+
+    // Still too large, e.g. an object with thousands of keys. Leave room
+    // for the marker.
+    const json = typeof value === 'string' ? value : JSON.stringify(value);
+    const preview = Buffer.from(json).subarray(0, Math.max(0, fieldBytes - 64)).toString();
+    return `${preview}… [truncated, ${Buffer.byteLength(json)} bytes in total]`;
+  }
+}
+
+/**
+ * Cap the arrays and strings of a value, marking what was cut
+ * @param {*} value - Value to truncate
+ * @param {number} maxItems - Array entries to keep
+ * @param {number} maxStringLength - Characters to keep of each string
+ * @param {boolean} [typed] - Cut array entries without adding a marker entry
+ * @returns {*} Truncated copy of the value
+ */
+function truncateValue(value, maxItems, maxStringLength, typed = false) {
+  if (typeof value === 'string') {
+    if (value.length <= maxStringLength) return value;
+    return `${value.slice(0, maxStringLength)}… [truncated ${value.length - maxStringLength} characters]`;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, maxItems).map(item => truncateValue(item, maxItems, maxStringLength, typed));
+    if (value.length > maxItems && !typed) {
+      items.push(`[truncated ${value.length - maxItems} more items]`);
+    }
+    return items;
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = truncateValue(entry, maxItems, maxStringLength, typed);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a value has arrays or strings above the caps, even if it
+ * fits the byte budget
+ * @param {*} value - Value to check
+ * @param {number} maxItems - Array entries allowed
+ * @param {number} maxStringLength - Characters allowed per string
+ * @returns {boolean} True if the value needs truncating
+ */
+function exceedsShape(value, maxItems, maxStringLength) {
+  if (typeof value === 'string') return value.length > maxStringLength;
+  if (Array.isArray(value)) {
+    return value.length > maxItems || value.some(item => exceedsShape(item, maxItems, maxStringLength));
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).some(entry => exceedsShape(entry, maxItems, maxStringLength));
+  }
+  return false;
+}
+
+/**
+ * Get the serialized size of a value in bytes
+ * @param {*} value - Value to measure
+ * @returns {number} Size in bytes
+ */
+function byteLength(value) {
+  if (value === undefined) return 0;
+  return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+module.exports = { PayloadLimiter };
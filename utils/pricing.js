@@ -0,0 +1,143 @@
+// utils/pricing.js - Cost estimation for LLM token usage
+const fs = require('fs');
+const { logger } = require('../logger');
+
+/**
+ * Default prices in USD per million tokens, keyed by `vendor/model` as
+ * returned by detectModelInfo. Dated model versions (e.g. gpt-4o-2024-08-06)
+ * match the longest model name they start with.
+ */
+const DEFAULT_PRICING = {
+  'openai/gpt-4.1': { input: 2, output: 8 },
+  'openai/gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'openai/gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai/gpt-4-turbo': { input: 10, output: 30 },
+  'openai/gpt-4': { input: 30, output: 60 },
+  'openai/gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'openai/o1': { input: 15, output: 60 },
+  'openai/o1-mini': { input: 1.1, output: 4.4 },
+  'openai/o3-mini': { input: 1.1, output: 4.4 },
+  'anthropic/claude-3-7-sonnet': { input: 3, output: 15 },
+  'anthropic/claude-3-5-sonnet': { input: 3, output: 15 },
+  'anthropic/claude-3-5-haiku': { input: 0.8, output: 4 },
+  'anthropic/claude-3-opus': { input: 15, output: 75 },
+  'anthropic/claude-3-sonnet': { input: 3, output: 15 },
+  'anthropic/claude-3-haiku': { input: 0.25, output: 1.25 },
+  'google/gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'google/gemini-1.5-pro': { input: 1.25, output: 5 },
+  'google/gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'mistral/mistral-large': { input: 2, output: 6 },
+  'mistral/mistral-small': { input: 0.2, output: 0.6 }
+};
+
+class PricingTable {
+  /**
+   * @param {Object} options - Pricing options
+   * @param {string} [options.pricingFile] - JSON file with prices overriding the defaults
+   */
+  constructor(options = {}) {
+    this.prices = { ...DEFAULT_PRICING };
+
+    const pricingFile = options.pricingFile || process.env.LANGWATCH_PRICING_FILE;
+    if (pricingFile) {
+      this.loadFile(pricingFile);
+    }
+  }
+
+  /**
+   * Merge prices from a local JSON file over the current table
+   * @param {string} filePath - Path to a JSON object of `vendor/model` to { input, output }
+   */
+  loadFile(filePath) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      let loaded = 0;
+
+      for (const [key, price] of Object.entries(overrides)) {
+        if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output)) {
+          logger.warn(`Ignoring invalid price for ${key} in ${filePath}`);
+          continue;
+        }
+        this.prices[key.toLowerCase()] = { input: price.input, output: price.output };
+        loaded++;
+      }
+
+      logger.info(`Loaded ${loaded} model prices from ${filePath}`);
+    } catch (error) {
+      logger.error(`Failed to load pricing file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the price of a model
+   * @param {Object} modelInfo - Model information as { vendor, model }
+   * @returns {Object|null} Price as { input, output } per million tokens, or null if unknown
+   */
+  getPrice(modelInfo) {
+    const vendor = String(modelInfo?.vendor || '').toLowerCase();
+    const model = String(modelInfo?.model || '').toLowerCase();
+    if (!model || model === 'unknown') return null;
+
+    const exact = this.prices[`${vendor}/${model}`];
+    if (exact) return exact;
+
+    // Longest model name the detected model starts with, preferring the
+    // detected vendor but falling back to any vendor when it is unknown
+    let best = null;
+    for (const [key, price] of Object.entries(this.prices)) {
+      const [keyVendor, keyModel] = key.split('/');
+      const vendorMatches = keyVendor === vendor || vendor === 'n8n' || !vendor;
+      if (vendorMatches && model.startsWith(keyModel) && (!best || keyModel.length > best.model.length)) {
+        best = { model: keyModel, price };
+      }
+    }
+
+    return best ? best.price : null;
+  }
+
+  /**
+   * Calculate the cost of a model call
+   * @param {Object} modelInfo - Model information as { vendor, model }
+   * @param {Object} metrics - Span metrics with prompt_tokens and completion_tokens
+   * @returns {number|null} Cost in USD, or null if the model has no known price
+   */
+  calculateCost(modelInfo, metrics) {
+    if (!metrics) return null;
+
+    const price = this.getPrice(modelInfo);
+    if (!price) {
+      logger.debug(`No price known for ${modelInfo?.vendor}/${modelInfo?.model}`);
+      return null;
+    }
+
+    const cost = ((metrics.prompt_tokens || 0) * price.input +
+      (metrics.completion_tokens || 0) * price.output) / 1000000;
+
+    return Number(cost.toFixed(8));
+  }
+}
+
+/**
+ * Sum the cost of a list of spans
+ * @param {Array<Object>} spans - Spans with optional metrics.cost
+ * @returns {number|null} Total cost in USD, or null if no span has a cost
+ */
+function sumSpanCosts(spans) {
+  // Workflow spans carry the rollup of the spans below them, e.g. for
+  // sub-workflows, so they're not counted again
+  const costs = spans
+    .filter(span => span.type !== 'workflow')
+    .map(span => span.metrics?.cost)
+    .filter(cost => typeof cost === 'number');
+
+  if (costs.length === 0) return null;
+  return Number(costs.reduce((total, cost) => total + cost, 0).toFixed(8));
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  PricingTable,
+  sumSpanCosts
+};
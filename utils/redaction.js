@@ -0,0 +1,333 @@
+// utils/redaction.js - PII and secret redaction for spans before they leave the process
+const crypto = require('crypto');
+const { logger } = require('../logger');
+const { parseJsonPath } = require('./helpers');
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Span fields that may carry user data. Identifiers, types and timestamps
+ * are never redacted.
+ */
+const REDACTED_SPAN_FIELDS = ['input', 'output', 'params', 'contexts', 'error'];
+
+/**
+ * Trace metadata IDs that may be taken from user data, such as a chat
+ * session ID or an email used as the user ID
+ */
+const REDACTED_METADATA_IDS = ['user_id', 'thread_id'];
+
+/**
+ * Object keys whose values are always secrets, e.g. HTTP auth headers or
+ * credential fields in node parameters
+ */
+const SECRET_KEY_PATTERN = /(^token$|authorization|api[-_]?key|secret|passw(or)?d|cookie|credential|private[-_]?key|(access|refresh|auth|bearer|session|id)[-_]?token$)/i;
+
+/**
+ * Built-in detectors for sensitive strings
+ */
+const BUILT_IN_DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    replacement: '[REDACTED_EMAIL]'
+  },
+  credit_card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    replacement: '[REDACTED_CARD]',
+    validate: (match) => isValidLuhn(match.replace(/\D/g, ''))
+  },
+  phone: {
+    // Digits grouped by spaces, hyphens or parentheses. Dots don't count as
+    // phone formatting, and numbers touching a dot are skipped, so decimals
+    // ("score 0.87345123", "1234.5678 USD") and dotted quads
+    // ("192.168.100.200") are left alone.
+    pattern: /(?<![\w.])\+?\(?\d[\d\s()-]{6,}\d(?![\w.])/g,
+    replacement: '[REDACTED_PHONE]',
+    // Require a plausible digit count and some phone-like formatting so plain
+    // numbers such as timestamps, IDs and ISO dates are left alone
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15 &&
+        (match.startsWith('+') || /[\s()-]/.test(match)) &&
+        !/\d{4}-\d{2}-\d{2}/.test(match);
+    }
+  },
+  api_key: {
+    pattern: new RegExp([
+      'sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}',   // OpenAI / Anthropic
+      'AKIA[0-9A-Z]{16}',                        // AWS access key ID
+      'AIza[0-9A-Za-z_-]{35}',                   // Google API key
+      'gh[pousr]_[A-Za-z0-9]{36,}',              // GitHub tokens
+      'xox[abprs]-[A-Za-z0-9-]{10,}',            // Slack tokens
+      'eyJ[A-Za-z0-9_-]{10,}\\.eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}', // JWT
+      '(?<=Bearer\\s+)[A-Za-z0-9._~+/-]{16,}=*'  // Bearer tokens
+    ].join('|'), 'g'),
+    replacement: '[REDACTED_API_KEY]'
+  }
+};
+
+class Redactor {
+  /**
+   * @param {Object} options - Redaction options
+   * @param {boolean} [options.enabled] - Whether redaction runs at all
+   * @param {Array<string>} [options.detectors] - Built-in detectors to use, plus "secret_keys"
+   * @param {Array<Object|string>} [options.patterns] - Custom regex rules as { name, pattern, flags, replacement } or plain patterns
+   * @param {Array<string>} [options.paths] - JSON paths, relative to each span, whose values are always redacted
+   * @param {boolean} [options.hashIds] - Replace user and thread IDs holding sensitive data with a hash, so traces still group by user and thread
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LANGWATCH_REDACTION !== 'false';
+
+    const detectorNames = options.detectors || parseList(process.env.LANGWATCH_REDACT_DETECTORS) ||
+      [...Object.keys(BUILT_IN_DETECTORS), 'secret_keys'];
+    this.redactSecretKeys = detectorNames.includes('secret_keys');
+    this.detectors = detectorNames
+      .filter(name => name !== 'secret_keys')
+      .map(name => {
+        if (!BUILT_IN_DETECTORS[name]) {
+          logger.warn(`Unknown redaction detector "${name}", ignoring`);
+          return null;
+        }
+        return { name, ...BUILT_IN_DETECTORS[name] };
+      })
+      .filter(Boolean);
+
+    const patterns = options.patterns || parseJson(process.env.LANGWATCH_REDACT_PATTERNS, 'LANGWATCH_REDACT_PATTERNS') || [];
+    this.detectors.push(...patterns.map(compileCustomPattern).filter(Boolean));
+
+    const paths = options.paths || parseList(process.env.LANGWATCH_REDACT_PATHS) || [];
+    this.paths = paths.map(jsonPath => ({ jsonPath, segments: parseJsonPath(jsonPath) }));
+
+    this.hashIds = options.hashIds ?? process.env.LANGWATCH_REDACT_HASH_IDS === 'true';
+
+    if (this.enabled) {
+      logger.debug(`Redaction enabled with detectors: ${this.detectors.map(d => d.name).join(', ') || 'none'}`);
+    }
+  }
+
+  /**
+   * Redact a trace before it is sent or spooled
+   * @param {Object} traceData - Trace data
+   * @returns {Object} Redacted copy of the trace data
+   */
+  redactTrace(traceData) {
+    if (!this.enabled) return traceData;
+
+    const stats = { count: 0 };
+    const spans = (traceData.spans || []).map(span => this.redactSpan(span, stats));
+    const metadata = traceData.metadata && this.redactMetadata(traceData.metadata, stats);
+
+    if (stats.count > 0) {
+      logger.debug(`Redacted ${stats.count} values in trace ${traceData.trace_id}`);
+    }
+
+    return { ...traceData, spans, ...(metadata ? { metadata } : {}) };
+  }
+
+  /**
+   * Redact the user and thread IDs and the labels of trace metadata
+   * @param {Object} metadata - Trace metadata
+   * @param {Object} [stats] - Counter for redacted values
+   * @returns {Object} Redacted copy of the metadata
+   */
+  redactMetadata(metadata, stats = { count: 0 }) {
+    const redacted = { ...metadata };
+
+    for (const key of REDACTED_METADATA_IDS) {
+      if (typeof redacted[key] !== 'string') continue;
+
+      const value = this._redactString(redacted[key], stats);
+      if (value !== redacted[key]) {
+        redacted[key] = this.hashIds ? hashId(redacted[key]) : value;
+      }
+    }
+
+    if (Array.isArray(redacted.labels)) {
+      redacted.labels = redacted.labels.map(label => this._redactValue(label, stats));
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redact a single span
+   * @param {Object} span - Span data
+   * @param {Object} [stats] - Counter for redacted values
+   * @returns {Object} Redacted copy of the span
+   */
+  redactSpan(span, stats = { count: 0 }) {
+    const redacted = { ...span };
+
+    for (const field of REDACTED_SPAN_FIELDS) {
+      if (redacted[field] !== undefined) {
+        redacted[field] = this._redactValue(redacted[field], stats);
+      }
+    }
+
+    for (const { segments } of this.paths) {
+      redactPath(redacted, segments, stats);
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Recursively redact a value
+   * @param {*} value - Value to redact
+   * @param {Object} stats - Counter for redacted values
+   * @returns {*} Redacted copy of the value
+   */
+  _redactValue(value, stats) {
+    if (typeof value === 'string') {
+      return this._redactString(value, stats);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this._redactValue(item, stats));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      // n8n stores headers and query parameters as { name, value } pairs
+      const secretPair = this.redactSecretKeys && typeof value.name === 'string' &&
+        SECRET_KEY_PATTERN.test(value.name);
+
+      for (const [key, child] of Object.entries(value)) {
+        const isSecret = this.redactSecretKeys &&
+          (SECRET_KEY_PATTERN.test(key) || (secretPair && key === 'value'));
+
+        if (isSecret && child !== null && child !== '' && typeof child !== 'object') {
+          result[key] = REDACTED;
+          stats.count++;
+        } else {
+          result[key] = this._redactValue(child, stats);
+        }
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Run all detectors over a string
+   * @param {string} text - Text to redact
+   * @param {Object} stats - Counter for redacted values
+   * @returns {string} Redacted text
+   */
+  _redactString(text, stats) {
+    let result = text;
+
+    for (const detector of this.detectors) {
+      detector.pattern.lastIndex = 0;
+      result = result.replace(detector.pattern, (match) => {
+        if (detector.validate && !detector.validate(match)) return match;
+        stats.count++;
+        return detector.replacement;
+      });
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Hash an ID, keeping it stable across traces without revealing it
+ * @param {string} value - ID to hash
+ * @returns {string} Hashed ID
+ */
+function hashId(value) {
+  return `sha256:${crypto.createHash('sha256').update(value).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Compile a user-defined redaction pattern
+ * @param {Object|string} rule - Rule as { name, pattern, flags, replacement } or a plain pattern
+ * @returns {Object|null} Detector or null if the pattern is invalid
+ */
+function compileCustomPattern(rule) {
+  const { name, pattern, flags = 'g', replacement = REDACTED } =
+    typeof rule === 'string' ? { name: rule, pattern: rule } : rule;
+
+  try {
+    const regexFlags = flags.includes('g') ? flags : `${flags}g`;
+    return { name: name || pattern, pattern: new RegExp(pattern, regexFlags), replacement };
+  } catch (error) {
+    logger.error(`Invalid redaction pattern "${pattern}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Redact every value matching a parsed JSON path, in place
+ * @param {Object} target - Object to redact
+ * @param {Array<string>} segments - Parsed JSON path
+ * @param {Object} stats - Counter for redacted values
+ */
+function redactPath(target, segments, stats) {
+  if (!target || typeof target !== 'object' || segments.length === 0) return;
+
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(target) : [segment];
+
+  for (const key of keys) {
+    if (!(key in target)) continue;
+
+    if (rest.length === 0) {
+      target[key] = REDACTED;
+      stats.count++;
+    } else {
+      redactPath(target[key], rest, stats);
+    }
+  }
+}
+
+/**
+ * Check a card number with the Luhn algorithm
+ * @param {string} digits - Card number digits
+ * @returns {boolean} True if the checksum is valid
+ */
+function isValidLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Parse a comma-separated environment variable
+ * @param {string} value - Raw value
+ * @returns {Array<string>|null} List of entries or null if unset
+ */
+function parseList(value) {
+  if (value === undefined || value === '') return null;
+  if (value === 'none') return [];
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a JSON environment variable
+ * @param {string} value - Raw value
+ * @param {string} name - Variable name for error messages
+ * @returns {*} Parsed value or null if unset or invalid
+ */
+function parseJson(value, name) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.error(`Invalid JSON in ${name}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  Redactor,
+  BUILT_IN_DETECTORS
+};
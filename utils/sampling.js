@@ -0,0 +1,147 @@
+// utils/sampling.js - Trace sampling policies per workflow
+const { logger } = require('../logger');
+const { globToRegExp } = require('./helpers');
+const { WorkflowTagCache } = require('./workflow-tags');
+
+class Sampler {
+  /**
+   * @param {Object} options - Sampling options
+   * @param {number} [options.rate] - Global sample rate between 0 and 1
+   * @param {Array<Object>} [options.rules] - Per-workflow overrides as
+   *   { workflowId, namePattern, tag, rate }; the first matching rule wins
+   * @param {boolean} [options.alwaysKeepErrors] - Keep failed executions even if not sampled
+   * @param {Object} [options.tagCache] - Resolves workflow tags for tag rules
+   */
+  constructor(options = {}) {
+    this.rate = clampRate(options.rate ?? parseRate(process.env.LANGWATCH_SAMPLE_RATE) ?? 1);
+    this.alwaysKeepErrors = options.alwaysKeepErrors ?? process.env.LANGWATCH_SAMPLE_KEEP_ERRORS !== 'false';
+
+    const rules = options.rules || parseRules(process.env.LANGWATCH_SAMPLING_RULES);
+    this.rules = rules.map(rule => ({
+      ...rule,
+      rate: clampRate(rule.rate),
+      nameRegExp: rule.namePattern ? globToRegExp(rule.namePattern) : null
+    }));
+
+    // Tags are only looked up when a rule needs them
+    this.tagCache = this.rules.some(rule => rule.tag !== undefined)
+      ? options.tagCache || new WorkflowTagCache()
+      : null;
+
+    if (this.rate < 1 || this.rules.length > 0) {
+      logger.debug(`Sampling traces at ${this.rate} with ${this.rules.length} workflow rules`);
+    }
+  }
+
+  /**
+   * Make the head sampling decision for a new workflow execution
+   * @param {Object} workflow - Workflow definition
+   * @returns {Object} Decision as { sampled, rate }
+   */
+  sample(workflow) {
+    const rate = this.getRate(workflow);
+    const sampled = rate >= 1 || (rate > 0 && Math.random() < rate);
+
+    return { sampled, rate };
+  }
+
+  /**
+   * Make the tail decision once a workflow execution has finished. Unsampled
+   * executions are still kept if they failed and errors are always kept.
+   * @param {Object} executionData - Workflow execution data
+   * @param {Object} result - Workflow execution result
+   * @returns {boolean} True if the trace should be sent
+   */
+  shouldKeep(executionData, result) {
+    if (executionData.sampled) return true;
+
+    const failed = Boolean(result?.error) || result?.success === false;
+    return this.alwaysKeepErrors && failed;
+  }
+
+  /**
+   * Whether spans of an unsampled execution still need to be collected, in
+   * case the tail decision keeps it
+   * @returns {boolean} True if unsampled executions must record spans
+   */
+  needsUnsampledSpans() {
+    return this.alwaysKeepErrors;
+  }
+
+  /**
+   * Get the sample rate that applies to a workflow
+   * @param {Object} workflow - Workflow definition
+   * @returns {number} Sample rate between 0 and 1
+   */
+  getRate(workflow) {
+    const rule = this.rules.find(r => matchesRule(r, workflow, this.tagCache));
+    return rule ? rule.rate : this.rate;
+  }
+}
+
+/**
+ * Check whether a sampling rule applies to a workflow. All criteria set on the
+ * rule must match.
+ * @param {Object} rule - Compiled sampling rule
+ * @param {Object} workflow - Workflow definition
+ * @param {Object|null} tagCache - Resolves workflow tags
+ * @returns {boolean} True if the rule matches
+ */
+function matchesRule(rule, workflow, tagCache) {
+  if (rule.workflowId === undefined && !rule.nameRegExp && rule.tag === undefined) {
+    return false;
+  }
+
+  if (rule.workflowId !== undefined && String(rule.workflowId) !== String(workflow?.id)) {
+    return false;
+  }
+
+  if (rule.nameRegExp && !rule.nameRegExp.test(workflow?.name || '')) {
+    return false;
+  }
+
+  if (rule.tag !== undefined && !tagCache.getTags(workflow).includes(String(rule.tag).toLowerCase())) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Clamp a sample rate to [0, 1], treating invalid values as 1
+ * @param {*} rate - Sample rate
+ * @returns {number} Sample rate between 0 and 1
+ */
+function clampRate(rate) {
+  const value = Number(rate);
+  if (!Number.isFinite(value)) return 1;
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Parse a sample rate environment variable
+ * @param {string} value - Raw value
+ * @returns {number|undefined} Sample rate or undefined if unset
+ */
+function parseRate(value) {
+  if (value === undefined || value === '') return undefined;
+  return Number(value);
+}
+
+/**
+ * Parse sampling rules from an environment variable
+ * @param {string} value - Raw JSON value
+ * @returns {Array<Object>} Sampling rules
+ */
+function parseRules(value) {
+  if (!value) return [];
+  try {
+    const rules = JSON.parse(value);
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    logger.error(`Invalid JSON in LANGWATCH_SAMPLING_RULES: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = { Sampler };
@@ -0,0 +1,113 @@
+// utils/token-counter.js - Local token counting for spans without reported usage
+const { logger } = require('../logger');
+const { estimateTokenCount } = require('./helpers');
+
+// Tokens added per chat message and for priming the reply, following
+// OpenAI's chat format accounting
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// Loaded BPE encodings by name; null when the tokenizer package is missing
+const encodings = new Map();
+
+/**
+ * Pick the BPE encoding for a model family. OpenAI's encodings are exact for
+ * OpenAI models; other vendors don't publish local tokenizers, so cl100k_base
+ * is used as the closest approximation.
+ * @param {Object} modelInfo - Model information as { vendor, model }
+ * @returns {string} Encoding name
+ */
+function getEncodingName(modelInfo) {
+  const model = String(modelInfo?.model || '').toLowerCase();
+
+  if (/^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o1|o3|o4|chatgpt-4o)/.test(model)) {
+    return 'o200k_base';
+  }
+
+  return 'cl100k_base';
+}
+
+/**
+ * Load a BPE encoding from gpt-tokenizer
+ * @param {string} name - Encoding name
+ * @returns {Object|null} Encoding module, or null if gpt-tokenizer isn't installed
+ */
+function loadEncoding(name) {
+  if (!encodings.has(name)) {
+    try {
+      encodings.set(name, require(`gpt-tokenizer/encoding/${name}`));
+    } catch (error) {
+      logger.warn(`Tokenizer ${name} unavailable, falling back to length-based estimates: ${error.message}`);
+      encodings.set(name, null);
+    }
+  }
+
+  return encodings.get(name);
+}
+
+/**
+ * Count the tokens of a piece of text for a model
+ * @param {string|Object} text - Text to count; objects are counted as JSON
+ * @param {Object} modelInfo - Model information as { vendor, model }
+ * @returns {number} Token count
+ */
+function countTokens(text, modelInfo) {
+  if (text === undefined || text === null || text === '') return 0;
+  const value = typeof text === 'string' ? text : JSON.stringify(text);
+
+  const encoding = loadEncoding(getEncodingName(modelInfo));
+  if (!encoding) {
+    return estimateTokenCount(value);
+  }
+
+  try {
+    return typeof encoding.countTokens === 'function'
+      ? encoding.countTokens(value)
+      : encoding.encode(value).length;
+  } catch (error) {
+    logger.debug(`Tokenizer failed, using length-based estimate: ${error.message}`);
+    return estimateTokenCount(value);
+  }
+}
+
+/**
+ * Count the prompt tokens of a list of chat messages
+ * @param {Array<Object>} messages - Messages as { role, content }
+ * @param {Object} modelInfo - Model information as { vendor, model }
+ * @returns {number} Token count
+ */
+function countMessageTokens(messages, modelInfo) {
+  if (!Array.isArray(messages) || messages.length === 0) return 0;
+
+  const tokens = messages.reduce((total, message) =>
+    total + TOKENS_PER_MESSAGE + countTokens(message.role, modelInfo) + countTokens(message.content, modelInfo), 0);
+
+  return tokens + TOKENS_PER_REPLY;
+}
+
+/**
+ * Estimate token usage for a model call whose node didn't report any
+ * @param {Object} options - Estimation input
+ * @param {Array<Object>|string} options.input - Chat messages or prompt text
+ * @param {string|Object} options.output - Model output
+ * @param {Object} options.modelInfo - Model information as { vendor, model }
+ * @returns {Object} Usage as { prompt_tokens, completion_tokens, total_tokens }
+ */
+function estimateUsage({ input, output, modelInfo }) {
+  const promptTokens = Array.isArray(input)
+    ? countMessageTokens(input, modelInfo)
+    : countTokens(input, modelInfo);
+  const completionTokens = countTokens(output, modelInfo);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+module.exports = {
+  countTokens,
+  countMessageTokens,
+  estimateUsage
+};
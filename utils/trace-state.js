@@ -0,0 +1,75 @@
+// utils/trace-state.js - Persists trace state with n8n execution data
+const { logger } = require('../logger');
+
+// Key in the execution's metadata, which n8n saves with the execution data
+// while it waits and restores when it resumes
+const TRACE_STATE_KEY = 'langwatch_trace';
+
+// Key holding the time a queue-mode execution was handed to the queue
+const ENQUEUED_AT_KEY = 'langwatch_enqueued_at';
+
+/**
+ * Save the trace state of a paused execution in its run execution data
+ * @param {Object} runExecutionData - Run execution data of the execution
+ * @param {Object} state - Trace state to persist
+ */
+function saveTraceState(runExecutionData, state) {
+  const resultData = runExecutionData?.resultData;
+  if (!resultData) return;
+
+  // n8n metadata values are strings
+  resultData.metadata = { ...resultData.metadata, [TRACE_STATE_KEY]: JSON.stringify(state) };
+}
+
+/**
+ * Load the trace state persisted when an execution paused
+ * @param {Object} runExecutionData - Run execution data of the execution
+ * @param {string} executionId - n8n execution ID
+ * @returns {Object|null} Trace state, or null if the execution is not resuming
+ */
+function loadTraceState(runExecutionData, executionId) {
+  const value = runExecutionData?.resultData?.metadata?.[TRACE_STATE_KEY];
+  if (!value) return null;
+
+  try {
+    const state = JSON.parse(value);
+
+    // Retried executions copy the data of the original execution, but
+    // should start a trace of their own
+    if (String(state.executionId) !== String(executionId)) return null;
+
+    return state;
+  } catch (error) {
+    logger.warn(`Ignoring invalid trace state for execution ${executionId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save the time an execution is enqueued for a worker
+ * @param {Object} runExecutionData - Run execution data of the execution
+ * @param {number} enqueuedAt - Timestamp in milliseconds
+ */
+function saveEnqueuedAt(runExecutionData, enqueuedAt) {
+  const resultData = runExecutionData?.resultData;
+  if (!resultData) return;
+
+  resultData.metadata = { ...resultData.metadata, [ENQUEUED_AT_KEY]: String(enqueuedAt) };
+}
+
+/**
+ * Load the time an execution was enqueued for a worker
+ * @param {Object} runExecutionData - Run execution data of the execution
+ * @returns {number|null} Timestamp in milliseconds, or null if not enqueued
+ */
+function loadEnqueuedAt(runExecutionData) {
+  const enqueuedAt = Number(runExecutionData?.resultData?.metadata?.[ENQUEUED_AT_KEY]);
+  return Number.isFinite(enqueuedAt) && enqueuedAt > 0 ? enqueuedAt : null;
+}
+
+module.exports = {
+  saveTraceState,
+  loadTraceState,
+  saveEnqueuedAt,
+  loadEnqueuedAt
+};
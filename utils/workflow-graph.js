@@ -0,0 +1,74 @@
+// utils/workflow-graph.js - Helpers for navigating n8n workflow connections
+const { logger } = require('../logger');
+
+/**
+ * Connection types used by n8n to attach AI sub-nodes (models, memory,
+ * tools, ...) to the root node that calls them
+ */
+const AI_CONNECTION_TYPES = [
+  'ai_languageModel',
+  'ai_memory',
+  'ai_tool',
+  'ai_outputParser',
+  'ai_retriever',
+  'ai_vectorStore',
+  'ai_embedding',
+  'ai_document',
+  'ai_textSplitter',
+  'ai_reranker'
+];
+
+/**
+ * Get the sub-nodes attached to a node through AI connections
+ * @param {Object} workflow - n8n workflow instance
+ * @param {string} nodeName - Name of the root node
+ * @returns {Array<Object>} Sub-nodes as { name, connectionType }
+ */
+function getSubNodes(workflow, nodeName) {
+  const connections = workflow?.connectionsByDestinationNode?.[nodeName];
+  if (!connections) return [];
+
+  const subNodes = [];
+  for (const connectionType of Object.keys(connections)) {
+    if (!AI_CONNECTION_TYPES.includes(connectionType)) continue;
+
+    for (const inputConnections of connections[connectionType] || []) {
+      for (const connection of inputConnections || []) {
+        if (connection?.node && !subNodes.some(n => n.name === connection.node)) {
+          subNodes.push({ name: connection.node, connectionType });
+        }
+      }
+    }
+  }
+
+  return subNodes;
+}
+
+/**
+ * Get the node that a sub-node is attached to through an AI connection
+ * @param {Object} workflow - n8n workflow instance
+ * @param {string} nodeName - Name of the sub-node
+ * @returns {string|null} Name of the calling node, or null for root nodes
+ */
+function getParentNodeName(workflow, nodeName) {
+  const connections = workflow?.connectionsBySourceNode?.[nodeName];
+  if (!connections) return null;
+
+  for (const connectionType of AI_CONNECTION_TYPES) {
+    for (const outputConnections of connections[connectionType] || []) {
+      const target = (outputConnections || []).find(connection => connection?.node);
+      if (target) {
+        logger.debug(`Node ${nodeName} is attached to ${target.node} via ${connectionType}`);
+        return target.node;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  AI_CONNECTION_TYPES,
+  getSubNodes,
+  getParentNodeName
+};
@@ -0,0 +1,121 @@
+// utils/workflow-tags.js - Resolves the n8n tags of workflows for sampling rules
+const { logger } = require('../logger');
+
+// Least time between loads triggered by workflows missing from the cache,
+// e.g. workflows created since the last load or never saved
+const MIN_RELOAD_INTERVAL = 10000;
+
+class WorkflowTagCache {
+  /**
+   * The workflow instance n8n executes carries no tags, so the tags of all
+   * workflows are loaded from n8n's database and kept for a while. Lookups
+   * never wait for the database: a workflow missing from the cache has no
+   * tags until the next load completes.
+   * @param {Object} options - Cache options
+   * @param {number} [options.ttl] - Milliseconds before the tags are loaded again
+   * @param {Function} [options.loadTags] - Loads a Map of workflow ID to tag names; defaults to n8n's workflow repository
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || Number(process.env.LANGWATCH_WORKFLOW_TAGS_TTL) || 300000; // 5 minutes
+    this.loadTags = options.loadTags || loadTagsFromRepository;
+    this.tagsByWorkflow = new Map();
+    this.loadedAt = 0;
+    this.attemptedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Get the tags of a workflow, from the workflow data if it has them, else
+   * from the cache. Loads the tags in the background when the cache is stale
+   * or doesn't know the workflow.
+   * @param {Object} workflow - Workflow definition
+   * @returns {Array<string>} Lower-cased tag names
+   */
+  getTags(workflow) {
+    const ownTags = normalizeTags(workflow?.tags);
+    if (ownTags.length > 0) return ownTags;
+
+    const workflowId = workflow?.id !== undefined ? String(workflow.id) : null;
+    const now = Date.now();
+    const stale = now - this.loadedAt > this.ttl;
+    const unknown = workflowId !== null && !this.tagsByWorkflow.has(workflowId);
+
+    if ((stale || unknown) && now - this.attemptedAt > MIN_RELOAD_INTERVAL) {
+      this.reload();
+    }
+
+    return (workflowId !== null && this.tagsByWorkflow.get(workflowId)) || [];
+  }
+
+  /**
+   * Load the tags of all workflows, unless a load is already running
+   * @returns {Promise<void>} Resolves once the load has finished or failed
+   */
+  reload() {
+    if (this.loading) return this.loading;
+
+    this.attemptedAt = Date.now();
+    this.loading = Promise.resolve()
+      .then(() => this.loadTags())
+      .then((tagsByWorkflow) => {
+        this.tagsByWorkflow = tagsByWorkflow;
+        this.loadedAt = Date.now();
+        logger.debug(`Loaded tags of ${tagsByWorkflow.size} workflows`);
+      })
+      .catch((error) => {
+        // n8n's database isn't ready until n8n has started
+        logger.debug(`Failed to load workflow tags: ${error.message}`);
+      })
+      .finally(() => {
+        this.loading = null;
+      });
+
+    return this.loading;
+  }
+}
+
+/**
+ * Load the tags of all workflows from n8n's workflow repository
+ * @returns {Promise<Map<string, Array<string>>>} Workflow ID to lower-cased tag names
+ */
+async function loadTagsFromRepository() {
+  const workflows = await getWorkflowRepository().find({
+    select: { id: true, tags: { id: true, name: true } },
+    relations: { tags: true }
+  });
+
+  return new Map(workflows.map(workflow => [String(workflow.id), normalizeTags(workflow.tags)]));
+}
+
+/**
+ * Get n8n's workflow repository from its dependency injection container
+ * @returns {Object} TypeORM repository of workflow entities
+ */
+function getWorkflowRepository() {
+  try {
+    const { Container } = require('@n8n/di');
+    const { WorkflowRepository } = require('@n8n/db');
+    return Container.get(WorkflowRepository);
+  } catch (error) {
+    // n8n versions before the @n8n/db package
+    const { Container } = require('typedi');
+    const { WorkflowRepository } = require('n8n/dist/databases/repositories/workflow.repository');
+    return Container.get(WorkflowRepository);
+  }
+}
+
+/**
+ * Normalize workflow tags, given as names or tag entities
+ * @param {Array<string|Object>} tags - Workflow tags
+ * @returns {Array<string>} Lower-cased tag names
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  return tags
+    .map(tag => (typeof tag === 'string' ? tag : tag?.name))
+    .filter(Boolean)
+    .map(tag => tag.toLowerCase());
+}
+
+module.exports = { WorkflowTagCache };